@@ -156,6 +156,15 @@ function updateOverviewStats(data) {
     document.getElementById('premiumUsers').textContent = data.premiumUsers || 0;
     document.getElementById('dailySummaries').textContent = data.dailySummaries || 0;
     document.getElementById('revenue').textContent = `$${data.revenue || 0}`;
+    
+    // Remaining news provider requests for today
+    const quota = data.newsQuota;
+    document.getElementById('newsQuota').textContent = quota ? `${quota.remaining} / ${quota.limit}` : 'n/a';
+    document.getElementById('newsQuotaLevel').textContent = quota ? `${quota.provider} · ${quota.level}` : '';
+
+    // Selected sources are fetched under a latency budget; show the one holding it up
+    const slowest = (data.sourceTimings || [])[0];
+    document.getElementById('slowestSource').textContent = slowest ? `Slowest source: ${slowest.source} (${slowest.avgMs}ms)` : '';
 }
 
 // Create overview charts
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Every normalized article we fetch, de-duplicated by canonical URL so
+// summary history entries can point back at the exact stories they covered
+const articleSchema = new mongoose.Schema({
+  canonicalUrl: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  source: {
+    type: String,
+    default: ''
+  },
+  urlToImage: {
+    type: String,
+    default: ''
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  // Named entities tagged at fetch time (see server/entities.js)
+  entities: {
+    people: {
+      type: [String],
+      default: []
+    },
+    organizations: {
+      type: [String],
+      default: []
+    },
+    locations: {
+      type: [String],
+      default: []
+    }
+  },
+  // Topics the article was fetched for
+  topics: {
+    type: [String],
+    default: []
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient querying
+articleSchema.index({ firstSeenAt: -1 });
+articleSchema.index({ topics: 1, firstSeenAt: -1 });
+
+// Insert new articles and refresh known ones in one round trip.
+// Returns a Map of canonical URL -> article id.
+articleSchema.statics.upsertMany = async function(articles, topic) {
+  if (!articles || articles.length === 0) return new Map();
+  const now = new Date();
+  const topicKey = String(topic || '').toLowerCase();
+
+  await this.bulkWrite(articles.map(a => ({
+    updateOne: {
+      filter: { canonicalUrl: a.canonicalUrl },
+      update: {
+        $setOnInsert: {
+          url: a.url,
+          title: a.title,
+          description: a.description,
+          source: a.source,
+          urlToImage: a.urlToImage,
+          publishedAt: a.publishedAt,
+          entities: a.entities,
+          firstSeenAt: now
+        },
+        $set: { lastSeenAt: now },
+        ...(topicKey ? { $addToSet: { topics: topicKey } } : {})
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  const stored = await this.find(
+    { canonicalUrl: { $in: articles.map(a => a.canonicalUrl) } },
+    { canonicalUrl: 1 }
+  ).lean();
+  return new Map(stored.map(doc => [doc.canonicalUrl, String(doc._id)]));
+};
+
+module.exports = mongoose.model('Article', articleSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A breaking-news alert queued for one user: a short audio clip plus the
+// notification payload the app shows. Alerts are picked up (and marked
+// delivered) through GET /api/alerts.
+const breakingAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Stable id of the detected story, so a user is alerted about it only once
+  storyKey: {
+    type: String,
+    required: true
+  },
+  // The user's topic the story matched
+  topic: {
+    type: String,
+    default: ''
+  },
+  headline: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    default: ''
+  },
+  sources: {
+    type: [String],
+    default: []
+  },
+  // Text read in the audio alert, and the audio itself (a /media path, null when TTS is unavailable)
+  script: {
+    type: String,
+    default: ''
+  },
+  audioUrl: {
+    type: String,
+    default: null
+  },
+  notification: {
+    title: String,
+    body: String
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'delivered'],
+    default: 'queued'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Index for efficient querying
+breakingAlertSchema.index({ user: 1, storyKey: 1 }, { unique: true });
+breakingAlertSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BreakingAlert', breakingAlertSchema);
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { SUPPORTED_LANGUAGES } = require('../server/languages');
+const { sanitizeEntities } = require('../server/entities');
+const { applyFeedback, plainProfile, emptyProfile } = require('../server/interests');
+const { SENSITIVITY_CATEGORIES, FILTER_SETTINGS, DEFAULT_CONTENT_FILTERS } = require('../server/sensitivity');
+const { sanitizeSummarizerInfo } = require('../server/summarizers');
+const { sanitizeSegments } = require('../server/citations');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -47,6 +53,47 @@ const userSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
+  // User-added RSS/Atom feeds, selectable as news sources by their id
+  customFeeds: [{
+    id: String,
+    url: String,
+    title: String,
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Content the user never wants in a briefing, whatever the topic
+  muteList: {
+    keywords: {
+      type: [String],
+      default: []
+    },
+    sources: {
+      type: [String],
+      default: []
+    },
+    people: {
+      type: [String],
+      default: []
+    }
+  },
+  // Interests learned from listening feedback (see server/interests.js)
+  interestProfile: {
+    weights: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
+    feedbackCount: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
   // User preferences
   preferences: {
     selectedVoice: {
@@ -71,7 +118,23 @@ const userSchema = new mongoose.Schema({
     selectedNewsSources: {
       type: [String],
       default: []
-    }
+    },
+    language: {
+      type: String,
+      default: 'en',
+      enum: SUPPORTED_LANGUAGES
+    },
+    // Opt-in for breaking news alerts on the user's topics
+    breakingAlerts: {
+      type: Boolean,
+      default: false
+    },
+    // Sensitive-content settings per category: block, soften or allow
+    contentFilters: Object.fromEntries(SENSITIVITY_CATEGORIES.map(category => [category, {
+      type: String,
+      enum: FILTER_SETTINGS,
+      default: DEFAULT_CONTENT_FILTERS[category]
+    }]))
   },
   summaryHistory: [{
     id: String,
@@ -89,7 +152,34 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     },
     audioUrl: String,
-    sources: [String]
+    sources: [String],
+    // Stored articles the briefing was built from
+    articleIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article'
+    }],
+    // People, organizations and places the briefing covered
+    entities: {
+      people: [String],
+      organizations: [String],
+      locations: [String]
+    },
+    // Proxied artwork for the briefing (see server/images.js)
+    thumbnailUrl: String,
+    // Summary provider and model that wrote the briefing (see server/summarizers)
+    summarizer: {
+      provider: String,
+      model: String
+    },
+    // Summary sentences with the articles they cite (see server/citations.js)
+    segments: [{
+      text: String,
+      articleIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article'
+      }],
+      urls: [String]
+    }]
   }],
   resetPasswordToken: {
     type: String,
@@ -195,6 +285,74 @@ userSchema.methods.getCustomTopics = function() {
   return this.customTopics;
 };
 
+// Custom feeds management
+userSchema.methods.addCustomFeed = async function(feed) {
+  if (!this.customFeeds.some(f => f.id === feed.id)) {
+    this.customFeeds.push({
+      id: feed.id,
+      url: feed.url,
+      title: feed.title,
+      addedAt: new Date()
+    });
+    await this.save();
+  }
+  return this.customFeeds;
+};
+
+userSchema.methods.removeCustomFeed = async function(feedId) {
+  this.customFeeds = this.customFeeds.filter(f => f.id !== feedId);
+  // A removed feed can no longer be a selected source
+  this.preferences.selectedNewsSources = (this.preferences.selectedNewsSources || []).filter(id => id !== feedId);
+  await this.save();
+  return this.customFeeds;
+};
+
+userSchema.methods.getCustomFeeds = function() {
+  return this.customFeeds || [];
+};
+
+// Mute list management
+userSchema.methods.addMute = async function(type, value) {
+  const list = this.muteList[type];
+  if (!list.some(v => v.toLowerCase() === value.toLowerCase())) {
+    list.push(value);
+    await this.save();
+  }
+  return this.getMuteList();
+};
+
+userSchema.methods.removeMute = async function(type, value) {
+  this.muteList[type] = this.muteList[type].filter(v => v.toLowerCase() !== value.toLowerCase());
+  await this.save();
+  return this.getMuteList();
+};
+
+userSchema.methods.getMuteList = function() {
+  const muteList = this.muteList || {};
+  return {
+    keywords: muteList.keywords || [],
+    sources: muteList.sources || [],
+    people: muteList.people || []
+  };
+};
+
+// Interest profile management
+userSchema.methods.recordFeedback = async function(events) {
+  this.interestProfile = applyFeedback(plainProfile(this.interestProfile), events);
+  await this.save();
+  return this.getInterestProfile();
+};
+
+userSchema.methods.resetInterestProfile = async function() {
+  this.interestProfile = emptyProfile();
+  await this.save();
+  return this.getInterestProfile();
+};
+
+userSchema.methods.getInterestProfile = function() {
+  return plainProfile(this.interestProfile);
+};
+
 // User preferences management
 userSchema.methods.updatePreferences = async function(preferences) {
   if (preferences.selectedVoice) {
@@ -212,6 +370,18 @@ userSchema.methods.updatePreferences = async function(preferences) {
   if (preferences.selectedNewsSources) {
     this.preferences.selectedNewsSources = preferences.selectedNewsSources;
   }
+  if (preferences.language) {
+    this.preferences.language = preferences.language;
+  }
+  if (preferences.breakingAlerts !== undefined) {
+    this.preferences.breakingAlerts = preferences.breakingAlerts;
+  }
+  if (preferences.contentFilters) {
+    // Categories not mentioned keep their current setting
+    for (const [category, setting] of Object.entries(preferences.contentFilters)) {
+      this.preferences.contentFilters[category] = setting;
+    }
+  }
   
   await this.save();
   return this.preferences;
@@ -223,7 +393,10 @@ userSchema.methods.getPreferences = function() {
     playbackRate: 1.0,
     upliftingNewsOnly: false,
     lastFetchedTopics: [],
-    selectedNewsSources: []
+    selectedNewsSources: [],
+    language: 'en',
+    breakingAlerts: false,
+    contentFilters: { ...DEFAULT_CONTENT_FILTERS }
   };
 };
 
@@ -239,7 +412,17 @@ userSchema.methods.addSummaryToHistory = async function(summaryData) {
     timestamp: new Date(),
     createdAt: new Date(),
     audioUrl: summaryData.audioUrl,
-    sources: summaryData.sources || []
+    sources: summaryData.sources || [],
+    articleIds: (summaryData.articleIds || [])
+      .filter(id => mongoose.Types.ObjectId.isValid(id))
+      .slice(0, 50),
+    entities: sanitizeEntities(summaryData.entities),
+    thumbnailUrl: summaryData.thumbnailUrl || null,
+    summarizer: sanitizeSummarizerInfo(summaryData.summarizer),
+    segments: sanitizeSegments(summaryData.segments).map(segment => ({
+      ...segment,
+      articleIds: segment.articleIds.filter(id => mongoose.Types.ObjectId.isValid(id))
+    }))
   };
   
   // Add to beginning of array (most recent first)
@@ -1,6 +1,8 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const fallbackAuth = require('../utils/fallbackAuth');
+const { getProvider } = require('../server/providers');
+const { getSourceTimings } = require('../server/sourceVariety');
 
 const router = express.Router();
 
@@ -149,6 +151,12 @@ router.get('/overview', verifyAdminToken, async (req, res) => {
       };
     }
 
+    // Outbound news provider quota for today
+    const newsProvider = getProvider();
+    stats.newsQuota = newsProvider.budget ? newsProvider.budget.getUsage() : null;
+    // Latency of the users' selected sources, slowest first
+    stats.sourceTimings = getSourceTimings().slice(0, 20);
+
     res.json(stats);
   } catch (error) {
     console.error('Overview data error:', error);
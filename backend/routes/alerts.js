@@ -0,0 +1,83 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const BreakingAlert = require('../models/BreakingAlert');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_ALERTS = 20;
+
+function formatAlert(alert, baseUrl) {
+  return {
+    id: String(alert._id),
+    storyKey: alert.storyKey,
+    topic: alert.topic,
+    headline: alert.headline,
+    url: alert.url,
+    sources: alert.sources,
+    script: alert.script,
+    // Ensure the audio URL is absolute, like /api/tts returns it
+    audioUrl: alert.audioUrl ? `${baseUrl}${alert.audioUrl}` : null,
+    notification: {
+      title: alert.notification?.title || 'Breaking news',
+      body: alert.notification?.body || alert.headline,
+      data: { alertId: String(alert._id), storyKey: alert.storyKey, url: alert.url }
+    },
+    status: alert.status,
+    createdAt: alert.createdAt
+  };
+}
+
+// Queued breaking news alerts for the user, oldest first. Returned alerts are
+// marked delivered; pass ?peek=true to leave them queued.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    // Alerts are only queued for users stored in MongoDB
+    if (mongoose.connection.readyState !== 1) {
+      return res.json({ alerts: [], enabled: false });
+    }
+
+    const alerts = await BreakingAlert.find({ user: req.user._id, status: 'queued' })
+      .sort({ createdAt: 1 })
+      .limit(MAX_ALERTS)
+      .lean();
+
+    if (alerts.length > 0 && req.query.peek !== 'true') {
+      await BreakingAlert.updateMany(
+        { _id: { $in: alerts.map(a => a._id) } },
+        { $set: { status: 'delivered', deliveredAt: new Date() } }
+      );
+    }
+
+    const baseUrl = req.protocol + '://' + req.get('host');
+    res.json({
+      alerts: alerts.map(alert => formatAlert(alert, baseUrl)),
+      enabled: !!req.user.preferences?.breakingAlerts
+    });
+  } catch (error) {
+    console.error('Error fetching breaking alerts:', error);
+    res.status(500).json({ error: 'Failed to get alerts' });
+  }
+});
+
+// Recent alerts (delivered or not), newest first
+router.get('/history', authenticateToken, async (req, res) => {
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      return res.json({ alerts: [] });
+    }
+
+    const alerts = await BreakingAlert.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(MAX_ALERTS)
+      .lean();
+
+    const baseUrl = req.protocol + '://' + req.get('host');
+    res.json({ alerts: alerts.map(alert => formatAlert(alert, baseUrl)) });
+  } catch (error) {
+    console.error('Error fetching alert history:', error);
+    res.status(500).json({ error: 'Failed to get alert history' });
+  }
+});
+
+module.exports = router;
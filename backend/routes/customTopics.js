@@ -2,6 +2,7 @@ const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const mongoose = require('mongoose');
 const fallbackAuth = require('../utils/fallbackAuth');
+const { validateTopicQuery, entityTopic, TopicQueryError } = require('../server/topicQuery');
 
 const router = express.Router();
 
@@ -26,21 +27,35 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Add a custom topic
+// Add a custom topic: { topic }, or { entity: { type: 'person' | 'org' | 'place', name } }
+// to follow a person, organization or place
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { topic } = req.body;
+    let { topic } = req.body;
+    const { entity } = req.body;
     const user = req.user;
     
+    if (entity) {
+      try {
+        topic = entityTopic(entity.type, entity.name);
+      } catch (error) {
+        if (error instanceof TopicQueryError) {
+          return res.status(400).json({ error: `Invalid entity: ${error.message}` });
+        }
+        throw error;
+      }
+    }
+    
     if (!topic || typeof topic !== 'string' || topic.trim().length === 0) {
       return res.status(400).json({ error: 'Topic is required and must be a non-empty string' });
     }
     
     const trimmedTopic = topic.trim();
     
-    // Validate topic length
-    if (trimmedTopic.length > 50) {
-      return res.status(400).json({ error: 'Topic must be 50 characters or less' });
+    // Validate topic length and query syntax (phrases, AND/OR, -exclude, source:/site:, person:/org:/place:)
+    const queryError = validateTopicQuery(trimmedTopic);
+    if (queryError) {
+      return res.status(400).json({ error: `Invalid topic: ${queryError}` });
     }
     
     let customTopics;
@@ -129,8 +144,9 @@ router.put('/', authenticateToken, async (req, res) => {
       if (typeof topic !== 'string' || topic.trim().length === 0) {
         return res.status(400).json({ error: 'All topics must be non-empty strings' });
       }
-      if (topic.trim().length > 50) {
-        return res.status(400).json({ error: 'All topics must be 50 characters or less' });
+      const queryError = validateTopicQuery(topic);
+      if (queryError) {
+        return res.status(400).json({ error: `Invalid topic "${topic.trim()}": ${queryError}` });
       }
     }
     
@@ -0,0 +1,63 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const fallbackAuth = require('../utils/fallbackAuth');
+const { authenticateToken } = require('../middleware/auth');
+const { FEEDBACK_TYPES, validateFeedback, normalizeEvents, describeProfile } = require('../server/interests');
+
+const router = express.Router();
+
+// What the app has learned about the user's interests
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const profile = mongoose.connection.readyState === 1
+      ? req.user.getInterestProfile()
+      : fallbackAuth.getInterestProfile(req.user);
+
+    res.json({ profile: describeProfile(profile), feedbackTypes: FEEDBACK_TYPES });
+  } catch (error) {
+    console.error('Error fetching interest profile:', error);
+    res.status(500).json({ error: 'Failed to get interest profile' });
+  }
+});
+
+// Feedback on story items: { type: 'up' | 'down' | 'skip' | 'replay' | 'complete', item },
+// or { events: [...] } to send several at once. `item` is the story item from /api/summarize.
+router.post('/feedback', authenticateToken, async (req, res) => {
+  try {
+    const events = normalizeEvents(req.body);
+    if (events.length === 0) {
+      return res.status(400).json({ error: 'Feedback is required' });
+    }
+    for (const event of events) {
+      const validationError = validateFeedback(event);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    const profile = mongoose.connection.readyState === 1
+      ? await req.user.recordFeedback(events)
+      : await fallbackAuth.recordFeedback(req.user, events);
+
+    res.json({ message: 'Feedback recorded', recorded: events.length, profile: describeProfile(profile) });
+  } catch (error) {
+    console.error('Error recording feedback:', error);
+    res.status(500).json({ error: 'Failed to record feedback' });
+  }
+});
+
+// Forget everything learned from feedback
+router.delete('/', authenticateToken, async (req, res) => {
+  try {
+    const profile = mongoose.connection.readyState === 1
+      ? await req.user.resetInterestProfile()
+      : await fallbackAuth.resetInterestProfile(req.user);
+
+    res.json({ message: 'Interest profile reset', profile: describeProfile(profile) });
+  } catch (error) {
+    console.error('Error resetting interest profile:', error);
+    res.status(500).json({ error: 'Failed to reset interest profile' });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,26 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
-
-// Get available news sources from NewsAPI
+const { getProvider } = require('../server/providers');
+const { inspectFeed, isFeedSourceId } = require('../server/userFeeds');
+const { userLanguage } = require('../server/languages');
+
+const MAX_CUSTOM_FEEDS = 20;
+
+// Describe a user feed in the same shape as provider sources
+function feedToSource(feed) {
+  return {
+    id: feed.id,
+    name: feed.title || feed.url,
+    description: `RSS feed: ${feed.url}`,
+    url: feed.url,
+    category: 'custom',
+    language: '',
+    country: ''
+  };
+}
+
+// Get available news sources from the configured news provider
 router.get('/available', authenticateToken, async (req, res) => {
   try {
     // Check if user is premium
@@ -14,27 +32,24 @@ router.get('/available', authenticateToken, async (req, res) => {
       });
     }
 
-    const NEWSAPI_KEY = process.env.NEWSAPI_KEY;
-    if (!NEWSAPI_KEY) {
-      return res.status(500).json({ error: 'NewsAPI key not configured' });
+    const provider = getProvider();
+    if (!provider.isConfigured()) {
+      return res.status(500).json({ error: `News provider "${provider.name}" not configured` });
     }
 
-    // Fetch sources from NewsAPI
-    const response = await fetch('https://newsapi.org/v2/top-headlines/sources?language=en', {
-      headers: {
-        'Authorization': `Bearer ${NEWSAPI_KEY}`
-      }
-    });
+    // Fetch the source catalog from the configured news provider, in the user's language
+    const language = userLanguage(req.user);
+    const sources = await provider.listSources({ language });
 
-    if (!response.ok) {
-      throw new Error(`NewsAPI error: ${response.status}`);
+    // Include the user's own RSS/Atom feeds so they can be selected like any other source
+    const user = await User.findById(req.user.id);
+    if (user) {
+      sources.push(...user.getCustomFeeds().map(feedToSource));
     }
-
-    const data = await response.json();
     
     // Group sources by category for better organization
     const sourcesByCategory = {};
-    data.sources.forEach(source => {
+    sources.forEach(source => {
       const category = source.category || 'general';
       if (!sourcesByCategory[category]) {
         sourcesByCategory[category] = [];
@@ -51,8 +66,9 @@ router.get('/available', authenticateToken, async (req, res) => {
     });
 
     res.json({
-      sources: data.sources,
-      sourcesByCategory
+      sources,
+      sourcesByCategory,
+      language
     });
   } catch (error) {
     console.error('Error fetching news sources:', error);
@@ -119,6 +135,13 @@ router.put('/selected', authenticateToken, async (req, res) => {
       }
     }
 
+    // Feed sources must be one of the user's own feeds
+    const feedIds = new Set(user.getCustomFeeds().map(feed => feed.id));
+    const unknownFeed = selectedSources.find(sourceId => isFeedSourceId(sourceId) && !feedIds.has(sourceId));
+    if (unknownFeed) {
+      return res.status(400).json({ error: `Unknown feed source: ${unknownFeed}` });
+    }
+
     // Update user preferences
     const preferences = await user.updatePreferences({
       selectedNewsSources: selectedSources
@@ -134,4 +157,98 @@ router.put('/selected', authenticateToken, async (req, res) => {
   }
 });
 
+// Get user's custom RSS/Atom feeds
+router.get('/feeds', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.isPremium) {
+      return res.status(403).json({ 
+        error: 'Premium feature', 
+        message: 'Custom feeds are only available for premium users' 
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ feeds: user.getCustomFeeds() });
+  } catch (error) {
+    console.error('Error fetching custom feeds:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add a custom RSS/Atom feed (the feed is fetched once to validate it)
+router.post('/feeds', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.isPremium) {
+      return res.status(403).json({ 
+        error: 'Premium feature', 
+        message: 'Custom feeds are only available for premium users' 
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { url } = req.body;
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ error: 'Feed URL is required' });
+    }
+
+    if (user.getCustomFeeds().length >= MAX_CUSTOM_FEEDS) {
+      return res.status(400).json({ error: `Maximum ${MAX_CUSTOM_FEEDS} custom feeds allowed` });
+    }
+
+    let feed;
+    try {
+      feed = await inspectFeed(url);
+    } catch (error) {
+      return res.status(400).json({ error: 'Could not read feed', message: error.message });
+    }
+
+    const feeds = await user.addCustomFeed(feed);
+
+    res.json({ 
+      message: 'Feed added successfully',
+      feed,
+      feeds
+    });
+  } catch (error) {
+    console.error('Error adding custom feed:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a custom feed (also removes it from the selected sources)
+router.delete('/feeds/:feedId', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.isPremium) {
+      return res.status(403).json({ 
+        error: 'Premium feature', 
+        message: 'Custom feeds are only available for premium users' 
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const feeds = await user.removeCustomFeed(req.params.feedId);
+
+    res.json({ 
+      message: 'Feed removed successfully',
+      feeds,
+      selectedSources: user.getPreferences().selectedNewsSources || []
+    });
+  } catch (error) {
+    console.error('Error removing custom feed:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -2,10 +2,85 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
+const { isSupportedLanguage, listLanguages } = require('../server/languages');
+const { MUTE_TYPES, MAX_MUTES_PER_TYPE, validateMute } = require('../server/mutes');
+const { SENSITIVITY_CATEGORIES, FILTER_SETTINGS, DEFAULT_CONTENT_FILTERS, validateContentFilters } = require('../server/sensitivity');
 
 // Constants
 const VALID_VOICES = ['Alloy', 'Echo', 'Fable', 'Onyx', 'Nova', 'Shimmer'];
-const VALID_PREFERENCES = ['selectedVoice', 'playbackRate', 'upliftingNewsOnly', 'lastFetchedTopics', 'selectedNewsSources'];
+const VALID_PREFERENCES = ['selectedVoice', 'playbackRate', 'upliftingNewsOnly', 'lastFetchedTopics', 'selectedNewsSources', 'language', 'breakingAlerts', 'contentFilters'];
+
+// Get supported briefing languages
+router.get('/languages', (req, res) => {
+  res.json({ languages: listLanguages() });
+});
+
+// Get the sensitive-content categories and their possible settings
+router.get('/content-filters', (req, res) => {
+  res.json({ categories: SENSITIVITY_CATEGORIES, settings: FILTER_SETTINGS, defaults: DEFAULT_CONTENT_FILTERS });
+});
+
+// Get user's mute list
+router.get('/mutes', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ muteList: user.getMuteList(), types: MUTE_TYPES });
+  } catch (error) {
+    console.error('Error fetching mute list:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mute a keyword, source or person: { type: 'keywords' | 'sources' | 'people', value }
+router.post('/mutes', authenticateToken, async (req, res) => {
+  try {
+    const { type, value } = req.body;
+    const validationError = validateMute(type, value);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.getMuteList()[type].length >= MAX_MUTES_PER_TYPE) {
+      return res.status(400).json({ error: `Maximum ${MAX_MUTES_PER_TYPE} muted ${type} allowed` });
+    }
+
+    const muteList = await user.addMute(type, value.trim());
+    res.json({ message: 'Muted successfully', muteList });
+  } catch (error) {
+    console.error('Error adding mute:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unmute a keyword, source or person
+router.delete('/mutes/:type/:value', authenticateToken, async (req, res) => {
+  try {
+    const { type, value } = req.params;
+    if (!MUTE_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Mute type must be one of: ${MUTE_TYPES.join(', ')}` });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const muteList = await user.removeMute(type, value);
+    res.json({ message: 'Unmuted successfully', muteList });
+  } catch (error) {
+    console.error('Error removing mute:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
 // Get user preferences
 router.get('/', authenticateToken, async (req, res) => {
@@ -31,7 +106,7 @@ router.put('/', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const { selectedVoice, playbackRate, upliftingNewsOnly, lastFetchedTopics } = req.body;
+    const { selectedVoice, playbackRate, upliftingNewsOnly, lastFetchedTopics, language, breakingAlerts, contentFilters } = req.body;
     
     // Validate input
     if (selectedVoice && !VALID_VOICES.includes(selectedVoice)) {
@@ -46,11 +121,27 @@ router.put('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'lastFetchedTopics must be an array' });
     }
 
+    if (language !== undefined && !isSupportedLanguage(language)) {
+      return res.status(400).json({ error: 'Unsupported language' });
+    }
+
+    if (breakingAlerts !== undefined && typeof breakingAlerts !== 'boolean') {
+      return res.status(400).json({ error: 'breakingAlerts must be a boolean' });
+    }
+
+    const contentFiltersError = contentFilters !== undefined && validateContentFilters(contentFilters);
+    if (contentFiltersError) {
+      return res.status(400).json({ error: contentFiltersError });
+    }
+
     const preferences = await user.updatePreferences({
       selectedVoice,
       playbackRate,
       upliftingNewsOnly,
-      lastFetchedTopics
+      lastFetchedTopics,
+      language: language && language.toLowerCase(),
+      breakingAlerts,
+      contentFilters
     });
 
     res.json(preferences);
@@ -100,9 +191,22 @@ router.patch('/:preference', authenticateToken, async (req, res) => {
       if (value.length > 20) {
         return res.status(400).json({ error: 'Maximum 20 news sources allowed' });
       }
+    } else if (preference === 'language') {
+      if (!isSupportedLanguage(value)) {
+        return res.status(400).json({ error: 'Unsupported language' });
+      }
+    } else if (preference === 'breakingAlerts') {
+      if (typeof value !== 'boolean') {
+        return res.status(400).json({ error: 'breakingAlerts must be a boolean' });
+      }
+    } else if (preference === 'contentFilters') {
+      const contentFiltersError = validateContentFilters(value);
+      if (contentFiltersError) {
+        return res.status(400).json({ error: contentFiltersError });
+      }
     }
 
-    const updateData = { [preference]: value };
+    const updateData = { [preference]: preference === 'language' ? value.toLowerCase() : value };
     const preferences = await user.updatePreferences(updateData);
 
     res.json(preferences);
@@ -2,6 +2,9 @@ const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const mongoose = require('mongoose');
 const fallbackAuth = require('../utils/fallbackAuth');
+const { getArticlesByIds } = require('../server/articleStore');
+const { mergeEntities } = require('../server/entities');
+const { thumbnailUrl } = require('../server/images');
 
 const router = express.Router();
 
@@ -42,6 +45,19 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Summary data with title and summary is required' });
     }
     
+    // Clients that don't send the briefing's entities or artwork get them from its stored articles
+    if ((!summaryData.entities || !summaryData.thumbnailUrl) && Array.isArray(summaryData.articleIds) && summaryData.articleIds.length > 0) {
+      const articles = await getArticlesByIds(summaryData.articleIds);
+      if (!summaryData.entities) {
+        summaryData.entities = mergeEntities(articles.map(article => article.entities));
+      }
+      if (!summaryData.thumbnailUrl) {
+        const baseUrl = req.protocol + '://' + req.get('host');
+        const withImage = articles.find(article => article.urlToImage);
+        summaryData.thumbnailUrl = withImage ? thumbnailUrl(withImage.urlToImage, baseUrl) : null;
+      }
+    }
+    
     let summaryHistory;
     if (mongoose.connection.readyState === 1) {
       console.log('Using MongoDB for summary history save');
@@ -67,6 +83,44 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the stored articles a past briefing was built from
+router.get('/:summaryId/articles', authenticateToken, async (req, res) => {
+  try {
+    const { summaryId } = req.params;
+    const user = req.user;
+
+    const summaryHistory = mongoose.connection.readyState === 1
+      ? user.getSummaryHistory()
+      : fallbackAuth.getSummaryHistory(user);
+    const entry = summaryHistory.find(e => e.id === summaryId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Summary not found' });
+    }
+
+    const articles = await getArticlesByIds(entry.articleIds || []);
+    const baseUrl = req.protocol + '://' + req.get('host');
+    res.json({
+      summaryId,
+      articles: articles.map(article => ({
+        id: String(article._id),
+        title: article.title,
+        description: article.description,
+        url: article.url,
+        source: article.source,
+        urlToImage: article.urlToImage,
+        thumbnailUrl: thumbnailUrl(article.urlToImage, baseUrl),
+        publishedAt: article.publishedAt,
+        firstSeenAt: article.firstSeenAt,
+        topics: article.topics,
+        entities: article.entities
+      }))
+    });
+  } catch (error) {
+    console.error('Get summary articles error:', error);
+    res.status(500).json({ error: 'Failed to get summary articles' });
+  }
+});
+
 // Delete specific summary from history
 router.delete('/:summaryId', authenticateToken, async (req, res) => {
   try {
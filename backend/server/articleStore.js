@@ -0,0 +1,95 @@
+// backend/server/articleStore.js
+// Persistent article store. Every normalized article the fetch pipeline hands
+// out is recorded in the Article collection under its canonical URL, and the
+// article comes back tagged with its `articleId` so briefings (and the summary
+// history saved from them) can reference the exact stories they used.
+//
+// Without a database connection articles pass through untouched.
+
+const mongoose = require("mongoose");
+const Article = require("../models/Article");
+const { canonicalizeUrl } = require("./providers/util");
+
+// Articles already recorded for a topic in this process, so repeat briefings
+// don't rewrite them on every request: "<canonicalUrl> <topic>" -> article id
+const recorded = new Map();
+const MAX_RECORDED = 5000;
+
+function isStoreAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+function toStoredArticle(article, canonicalUrl) {
+  const published = new Date(article.publishedAt);
+  return {
+    canonicalUrl,
+    url: article.url,
+    title: article.title || "",
+    description: article.description || "",
+    source: article.source || "",
+    urlToImage: article.urlToImage || "",
+    publishedAt: Number.isFinite(published.getTime()) ? published : null,
+    entities: article.entities,
+  };
+}
+
+function remember(key, id) {
+  if (recorded.size >= MAX_RECORDED) {
+    // Drop the oldest entry (Map keeps insertion order)
+    recorded.delete(recorded.keys().next().value);
+  }
+  recorded.set(key, id);
+}
+
+// Record normalized articles fetched for `topic` and return them tagged with
+// `articleId` (left unset when the store is unavailable). Never rejects.
+async function recordArticles(articles, topic) {
+  const list = Array.isArray(articles) ? articles : [];
+  if (list.length === 0 || !isStoreAvailable()) return list;
+
+  const topicKey = String(topic || "").toLowerCase();
+  const canonical = list.map((a) => canonicalizeUrl(a.url));
+  const ids = new Map();
+  const pending = new Map();
+  list.forEach((article, i) => {
+    const url = canonical[i];
+    if (!url) return;
+    const known = recorded.get(`${url} ${topicKey}`);
+    if (known) {
+      ids.set(url, known);
+    } else if (!pending.has(url)) {
+      pending.set(url, toStoredArticle(article, url));
+    }
+  });
+
+  if (pending.size > 0) {
+    try {
+      const stored = await Article.upsertMany([...pending.values()], topicKey);
+      for (const [url, id] of stored) {
+        ids.set(url, id);
+        remember(`${url} ${topicKey}`, id);
+      }
+    } catch (error) {
+      console.error("Article store write failed:", error.message);
+    }
+  }
+
+  return list.map((article, i) => {
+    const articleId = ids.get(canonical[i]);
+    return articleId ? { ...article, articleId } : article;
+  });
+}
+
+// Stored articles by id, in the order given (missing ids are skipped)
+async function getArticlesByIds(ids) {
+  const valid = (ids || []).map(String).filter((id) => mongoose.Types.ObjectId.isValid(id));
+  if (valid.length === 0 || !isStoreAvailable()) return [];
+  const docs = await Article.find({ _id: { $in: valid } }).lean();
+  const byId = new Map(docs.map((doc) => [String(doc._id), doc]));
+  return valid.map((id) => byId.get(id)).filter(Boolean);
+}
+
+module.exports = {
+  recordArticles,
+  getArticlesByIds,
+};
@@ -0,0 +1,245 @@
+// backend/server/breakingNews.js
+// Breaking-news alerts. Every ingestion run hands its headlines to
+// observeHeadlines(); headlines from the last BREAKING_WINDOW_MS are clustered
+// into stories, and a story that BREAKING_MIN_SOURCES different outlets picked
+// up within that window counts as breaking.
+//
+// A breaking story is matched against the topics and custom topics of users
+// who opted in (preferences.breakingAlerts), skipping users who muted it, and
+// each match gets a BreakingAlert queued: a short audio clip (synthesized once
+// per story) plus a notification payload. Alerts stay rare: a user gets at most
+// BREAKING_ALERTS_PER_DAY, at least BREAKING_ALERT_MIN_GAP_MS apart.
+//
+// Needs the database; without it stories are still detected and logged.
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const BreakingAlert = require("../models/BreakingAlert");
+const { canonicalizeUrl } = require("./providers/util");
+const { clusterArticles } = require("./clustering");
+const { compileTopicQuery, matchTopicQuery } = require("./topicQuery");
+const { userMuteList, isMuted } = require("./mutes");
+
+const ALERTS_ENABLED = process.env.BREAKING_ALERTS === "on";
+const WINDOW_MS = Number(process.env.BREAKING_WINDOW_MS) || 90 * 60 * 1000;
+const MIN_SOURCES = Number(process.env.BREAKING_MIN_SOURCES) || 4;
+const ALERTS_PER_DAY = Number(process.env.BREAKING_ALERTS_PER_DAY) || 3;
+const MIN_GAP_MS = Number(process.env.BREAKING_ALERT_MIN_GAP_MS) || 2 * 60 * 60 * 1000;
+const STORY_MEMORY_MS = 24 * 60 * 60 * 1000; // a story already alerted on isn't alerted again for a day
+const MAX_RECENT_STORIES = 10;
+
+const observations = new Map(); // canonical URL -> { article, topics: Set, seenAt }
+const alertedUrls = new Map(); // canonical URL -> { storyKey, at } for stories already handled
+const recentStories = []; // newest first, for /api/health
+let synthesizeAlert = null;
+let started = false;
+
+function toTime(value) {
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+// When the outlet covered it: publish time, else when we first saw it
+function coverageTime(observation) {
+  return toTime(observation.article.publishedAt) ?? observation.seenAt;
+}
+
+function forget(now) {
+  for (const [url, observation] of observations) {
+    if (coverageTime(observation) < now - WINDOW_MS) observations.delete(url);
+  }
+  for (const [url, entry] of alertedUrls) {
+    if (entry.at < now - STORY_MEMORY_MS) alertedUrls.delete(url);
+  }
+}
+
+// Collapsed stories carry their other outlets in `cluster.corroborating`
+function expandStories(stories) {
+  const articles = [];
+  for (const story of stories || []) {
+    const { cluster, ...article } = story;
+    articles.push(article);
+    for (const other of cluster?.corroborating || []) articles.push(other);
+  }
+  return articles;
+}
+
+function observe(topic, articles, now) {
+  const topicKey = String(topic || "").toLowerCase();
+  for (const article of articles) {
+    const url = canonicalizeUrl(article.url);
+    if (!url || !article.title) continue;
+    const observation = observations.get(url) || { article, topics: new Set(), seenAt: now };
+    observation.topics.add(topicKey);
+    observations.set(url, observation);
+  }
+}
+
+// Stable key for a story across runs: the key it was alerted under before,
+// else derived from its earliest-covered article
+function storyKeyOf(members) {
+  for (const { url } of members) {
+    if (alertedUrls.has(url)) return { key: alertedUrls.get(url).storyKey, known: true };
+  }
+  const first = [...members].sort((a, b) => coverageTime(a) - coverageTime(b))[0];
+  return { key: `breaking-${crypto.createHash("md5").update(first.url).digest("hex").slice(0, 10)}`, known: false };
+}
+
+// Stories with coverage from at least MIN_SOURCES outlets inside the window
+function detectSpikes() {
+  const entries = [...observations.entries()].map(([url, observation]) => ({ url, ...observation }));
+  const byArticle = new Map(entries.map((entry) => [entry.article, entry]));
+  const spikes = [];
+  for (const { representative, articles } of clusterArticles(entries.map((e) => e.article))) {
+    const members = articles.map((a) => byArticle.get(a));
+    const sources = [...new Set(members.map((m) => m.article.source).filter(Boolean))];
+    if (sources.length < MIN_SOURCES) continue;
+    const topics = new Set(members.flatMap((m) => [...m.topics]));
+    spikes.push({ representative, members, sources, topics });
+  }
+  return spikes;
+}
+
+// The user's topic a story matches, or null
+function matchingTopic(user, story) {
+  const topics = [...(user.preferences?.lastFetchedTopics || []), ...(user.customTopics || [])];
+  for (const topic of topics) {
+    if (story.topics.has(String(topic).toLowerCase())) return topic;
+  }
+  for (const topic of user.customTopics || []) {
+    try {
+      if (matchTopicQuery(compileTopicQuery(topic), story.representative)) return topic;
+    } catch {
+      // Topics saved before query validation may not parse; they just don't match
+    }
+  }
+  return null;
+}
+
+// Opted-in users to alert about a story, with the topic it matched, within their rate limits
+async function findRecipients(story, storyKey) {
+  const users = await User.find(
+    { "preferences.breakingAlerts": true },
+    { customTopics: 1, muteList: 1, preferences: 1 }
+  ).lean();
+  const matched = users
+    .map((user) => ({ user, topic: matchingTopic(user, story) }))
+    .filter(({ user, topic }) => topic && !isMuted(userMuteList(user), story.representative));
+  if (matched.length === 0) return [];
+
+  const since = new Date(Date.now() - STORY_MEMORY_MS);
+  const recent = await BreakingAlert.find(
+    { user: { $in: matched.map(({ user }) => user._id) }, createdAt: { $gte: since } },
+    { user: 1, storyKey: 1, createdAt: 1 }
+  ).lean();
+  const history = new Map(); // user id -> recent alerts
+  for (const alert of recent) {
+    const id = String(alert.user);
+    if (!history.has(id)) history.set(id, []);
+    history.get(id).push(alert);
+  }
+
+  return matched.filter(({ user }) => {
+    const alerts = history.get(String(user._id)) || [];
+    if (alerts.some((a) => a.storyKey === storyKey)) return false;
+    if (alerts.length >= ALERTS_PER_DAY) return false;
+    return !alerts.some((a) => Date.now() - new Date(a.createdAt).getTime() < MIN_GAP_MS);
+  });
+}
+
+// "Breaking news. <headline>. Five outlets are reporting this, including BBC News, Reuters and CNN."
+function alertScript(story) {
+  const title = String(story.representative.title || "").replace(/[\s\-–—]+$/g, "").trim();
+  const named = story.sources.slice(0, 3);
+  const list = named.length > 1 ? `${named.slice(0, -1).join(", ")} and ${named[named.length - 1]}` : named[0];
+  return `Breaking news. ${title.replace(/[.!?]$/, "")}. ${story.sources.length} outlets are reporting this, including ${list}.`;
+}
+
+async function queueAlerts(story, storyKey) {
+  const recipients = await findRecipients(story, storyKey);
+  if (recipients.length === 0) return 0;
+
+  const script = alertScript(story);
+  let audioUrl = null;
+  try {
+    audioUrl = synthesizeAlert ? await synthesizeAlert(script) : null;
+  } catch (error) {
+    console.warn(`Breaking alert audio failed for ${storyKey}: ${error.message}`);
+  }
+
+  const { representative } = story;
+  const docs = recipients.map(({ user, topic }) => ({
+    user: user._id,
+    storyKey,
+    topic,
+    headline: representative.title,
+    url: representative.url || "",
+    sources: story.sources,
+    script,
+    audioUrl,
+    notification: {
+      title: "Breaking news",
+      body: representative.title,
+    },
+  }));
+  try {
+    const inserted = await BreakingAlert.insertMany(docs, { ordered: false });
+    return inserted.length;
+  } catch (error) {
+    // Duplicates (a concurrent run queued the same story) are expected; count the rest
+    if (error.code === 11000 || error.writeErrors) return error.insertedDocs?.length ?? 0;
+    throw error;
+  }
+}
+
+// Feed the headlines of an ingestion run for `topic` to the detector and
+// queue alerts for any story that just broke. Never rejects.
+async function observeHeadlines(topic, stories) {
+  if (!started) return;
+  const now = Date.now();
+  try {
+    forget(now);
+    observe(topic, expandStories(stories), now);
+
+    for (const story of detectSpikes()) {
+      const { key, known } = storyKeyOf(story.members);
+      for (const { url } of story.members) alertedUrls.set(url, { storyKey: key, at: now });
+      if (known) continue;
+
+      console.log(`Breaking story ${key}: "${story.representative.title}" (${story.sources.length} sources: ${story.sources.join(", ")})`);
+      const entry = { storyKey: key, title: story.representative.title, sources: story.sources.length, detectedAt: new Date(now).toISOString(), alertsQueued: 0 };
+      recentStories.unshift(entry);
+      recentStories.splice(MAX_RECENT_STORIES);
+      if (mongoose.connection.readyState === 1) {
+        entry.alertsQueued = await queueAlerts(story, key);
+        console.log(`Queued ${entry.alertsQueued} breaking alert(s) for ${key}`);
+      }
+    }
+  } catch (error) {
+    console.error("Breaking news detection failed:", error);
+  }
+}
+
+// Start detecting (when BREAKING_ALERTS=on). `synthesize(text)` turns an alert
+// script into audio and resolves to its URL path.
+function startBreakingNews({ synthesize }) {
+  if (!ALERTS_ENABLED || started) return;
+  synthesizeAlert = synthesize;
+  started = true;
+  console.log(`Breaking news alerts enabled (${MIN_SOURCES}+ sources within ${Math.round(WINDOW_MS / 60000)} minutes)`);
+}
+
+function getBreakingNewsStatus() {
+  return {
+    enabled: started,
+    trackedHeadlines: observations.size,
+    recentStories,
+  };
+}
+
+module.exports = {
+  observeHeadlines,
+  startBreakingNews,
+  getBreakingNewsStatus,
+};
@@ -0,0 +1,62 @@
+// backend/server/briefingWindow.js
+// "Since my last briefing" mode. A user's last completed briefing is the most
+// recent entry in their summary history; briefings in this mode only search
+// from that moment on and skip the stored articles the user already heard.
+
+const MAX_SINCE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // never search further back than a week
+const HEARD_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // articles from briefings this recent count as heard
+const LITTLE_NEW_THRESHOLD = 3; // fewer new stories than this is called out in the intro
+
+function toTime(value) {
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+// Last completed briefing of a user (Mongo document or fallback user):
+// { at: Date, heardArticleIds: Set<string> }, or null without history
+function getLastBriefing(user) {
+  const history = Array.isArray(user?.summaryHistory) ? user.summaryHistory : [];
+  let latest = null;
+  const heardArticleIds = new Set();
+  for (const entry of history) {
+    const time = toTime(entry.timestamp || entry.createdAt);
+    if (time === null) continue;
+    if (latest === null || time > latest) latest = time;
+    if (Date.now() - time <= HEARD_WINDOW_MS) {
+      for (const id of entry.articleIds || []) heardArticleIds.add(String(id));
+    }
+  }
+  return latest === null ? null : { at: new Date(latest), heardArticleIds };
+}
+
+// Start of the search window for a briefing since `since`, floored to the
+// hour so users with similar last briefings share cached provider results
+function sinceWindowStart(since) {
+  const time = Math.max(toTime(since) ?? 0, Date.now() - MAX_SINCE_WINDOW_MS);
+  const floored = new Date(time);
+  floored.setUTCMinutes(0, 0, 0);
+  return floored.toISOString();
+}
+
+// Articles without a publish time are kept rather than guessed about
+function isNewSince(article, since) {
+  const published = toTime(article.publishedAt);
+  return published === null || published > toTime(since);
+}
+
+// "3 hours ago", "yesterday", "4 days ago"
+function describeTimeSince(since) {
+  const hours = Math.max(Math.round((Date.now() - toTime(since)) / (60 * 60 * 1000)), 0);
+  if (hours < 1) return "less than an hour ago";
+  if (hours < 24) return `${hours} hour${hours === 1 ? "" : "s"} ago`;
+  const days = Math.round(hours / 24);
+  return days === 1 ? "yesterday" : `${days} days ago`;
+}
+
+module.exports = {
+  LITTLE_NEW_THRESHOLD,
+  getLastBriefing,
+  sinceWindowStart,
+  isNewSince,
+  describeTimeSince,
+};
@@ -88,9 +88,10 @@ class CacheManager {
   }
 
   // Generate cache keys
-  getNewsKey(topic, geo, wordCount) {
+  getNewsKey(topic, geo, wordCount, provider = 'newsapi', language = 'en', since = null) {
     const geoStr = geo ? `${geo.country}-${geo.region}-${geo.city}` : 'no-geo';
-    return `news:${topic}:${geoStr}:${wordCount}`;
+    const sinceStr = since ? `:since-${since}` : '';
+    return `news:${provider}:${language}:${topic}:${geoStr}:${wordCount}${sinceStr}`;
   }
 
   getSummaryKey(topics, wordCount, location) {
@@ -98,6 +99,19 @@ class CacheManager {
     return `summary:${topicsStr}:${wordCount}:${location || 'no-location'}`;
   }
 
+  // Summary of a specific set of articles (keyed by their URLs)
+  // `summarizer` ("provider/model") keeps summaries written by different models apart
+  // `since` is how long ago the last briefing was, as the summary words it
+  // ("3 hours ago", "yesterday"), for briefings since the last one
+  getArticleSummaryKey(topic, geo, articles, wordCount, goodNewsOnly, language = 'en', since = '', summarizer = '') {
+    const crypto = require('crypto');
+    const geoStr = geo ? `${geo.country}-${geo.region}-${geo.city}` : 'no-geo';
+    // Softened stories are summarized differently, so they get their own key
+    const urls = (articles || []).map(a => `${a.url || a.title}${a.sensitivity?.softened?.length ? '~soft' : ''}`).join('|');
+    const articlesHash = crypto.createHash('md5').update(urls).digest('hex');
+    return `summary:${language}:${String(topic).toLowerCase()}:${geoStr}:${wordCount}:${goodNewsOnly ? 'uplifting' : 'all'}${since ? `:since-${since.replace(/\s+/g, '-')}` : ''}${summarizer ? `:${summarizer}` : ''}:${articlesHash}`;
+  }
+
   getTTSKey(text, voice, speed) {
     // Create a hash of the text for the key
     const crypto = require('crypto');
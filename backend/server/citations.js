@@ -0,0 +1,129 @@
+// backend/server/citations.js
+// Sentence-level citations for spoken summaries. The summarizer is asked to
+// follow each sentence with the numbers of the prompt articles it draws on,
+// as markers like "[2]", "[1][3]" or "[1, 3]". The markers never reach the
+// listener: the summary is returned without them, alongside
+//
+//   segments: [{ text, articleIds, urls }]
+//
+// one per sentence, in order, so joining the segments' text with spaces gives
+// back the summary. `articleIds` are the cited articles' stored ids (see
+// articleStore.js) and `urls` their links; the app uses them to highlight the
+// sources while the audio plays. Sentences without markers cite nothing.
+
+const MARKER = String.raw`\s*\[\d{1,2}(?:\s*,\s*\d{1,2})*\]`;
+const MARKER_SPLIT = new RegExp(`(${MARKER})`);
+const IS_MARKER = new RegExp(`^${MARKER}$`);
+const SENTENCE_END = /[.!?。！？]+["'”’»)]*(?=\s|$)/g;
+// Full stops that don't end a sentence: initials ("U.S."), titles ("Dr.")
+const ABBREVIATION = /(?:\b(?:[A-Z]\.)+|\b(?:Mr|Mrs|Ms|Dr|Prof|St|Jr|Sr|vs|No)\.)$/;
+
+const MAX_SEGMENTS = 100;
+const MAX_SEGMENT_LENGTH = 1000;
+const MAX_CITATIONS = 10;
+
+// Index just past the first sentence end in `text`, or -1
+function sentenceEnd(text) {
+  SENTENCE_END.lastIndex = 0;
+  let match;
+  while ((match = SENTENCE_END.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    if (!ABBREVIATION.test(text.slice(0, end).replace(/["'”’»)]+$/, ""))) return end;
+  }
+  return -1;
+}
+
+function cleanText(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function toSegment(sentence, articles) {
+  const cited = [...sentence.refs]
+    .sort((a, b) => a - b)
+    .map((n) => articles[n - 1])
+    .filter(Boolean);
+  return {
+    text: cleanText(sentence.text),
+    articleIds: [...new Set(cited.map((a) => a.articleId).filter(Boolean).map(String))],
+    urls: [...new Set(cited.map((a) => a.url).filter(Boolean))],
+  };
+}
+
+// Split a summary with citation markers into { text, segments }, where marker
+// numbers refer to `articles` (1-based, as numbered in the prompt). A marker
+// belongs to the sentence it follows or sits in.
+function parseCitations(raw, articles = []) {
+  const sentences = []; // { text, refs }
+  let open = null; // sentence still in progress
+  for (const piece of String(raw || "").split(MARKER_SPLIT)) {
+    if (IS_MARKER.test(piece)) {
+      const target = open || sentences[sentences.length - 1];
+      if (target) piece.match(/\d+/g).forEach((n) => target.refs.add(Number(n)));
+      continue;
+    }
+    let rest = piece;
+    while (rest) {
+      const end = sentenceEnd(rest);
+      const part = end < 0 ? rest : rest.slice(0, end);
+      rest = end < 0 ? "" : rest.slice(end);
+      if (open) open.text += part;
+      else if (part.trim()) open = { text: part, refs: new Set() };
+      if (end >= 0 && open) {
+        sentences.push(open);
+        open = null;
+      }
+    }
+  }
+  if (open) sentences.push(open);
+
+  const segments = sentences.map((sentence) => toSegment(sentence, articles)).filter((segment) => segment.text);
+  return { text: segments.map((segment) => segment.text).join(" "), segments };
+}
+
+// Segments matched to `text` once it has been trimmed to a complete sentence:
+// sentences cut from the end are dropped, punctuation added to the end is
+// kept with the last one
+function alignSegments(segments, text) {
+  const aligned = [];
+  let offset = 0;
+  for (const segment of segments) {
+    const start = text.indexOf(segment.text, offset);
+    if (start < 0) break;
+    aligned.push(segment);
+    offset = start + segment.text.length;
+  }
+  const rest = text.slice(offset).trim();
+  if (!rest) return aligned;
+  if (aligned.length === 0) return [{ text: cleanText(text), articleIds: [], urls: [] }];
+  const last = aligned[aligned.length - 1];
+  aligned[aligned.length - 1] = { ...last, text: `${last.text}${rest}` };
+  return aligned;
+}
+
+// Text with any citation markers removed (for TTS input from older clients)
+function stripCitations(text) {
+  return String(text || "").replace(new RegExp(MARKER, "g"), "");
+}
+
+// Segments as stored on a summary history entry (client-sent, so bounded)
+function sanitizeSegments(segments) {
+  if (!Array.isArray(segments)) return [];
+  const strings = (list) => (Array.isArray(list) ? list : [])
+    .filter((value) => typeof value === "string" && value)
+    .slice(0, MAX_CITATIONS);
+  return segments
+    .filter((segment) => segment && typeof segment.text === "string" && segment.text.trim())
+    .slice(0, MAX_SEGMENTS)
+    .map((segment) => ({
+      text: segment.text.trim().slice(0, MAX_SEGMENT_LENGTH),
+      articleIds: strings(segment.articleIds),
+      urls: strings(segment.urls),
+    }));
+}
+
+module.exports = {
+  parseCitations,
+  alignSegments,
+  stripCitations,
+  sanitizeSegments,
+};
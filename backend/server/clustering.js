@@ -0,0 +1,131 @@
+// backend/server/clustering.js
+// Near-duplicate detection across outlets. Articles covering the same event
+// are grouped into a story cluster; one representative article stands in
+// for the story and the others are kept as corroborating sources.
+
+const crypto = require("crypto");
+const { canonicalizeUrl } = require("./providers/util");
+
+// Articles whose combined title/description terms overlap this much (Jaccard) are the same story
+const STORY_SIMILARITY = 0.3;
+// ...or whose titles alone overlap this much
+const TITLE_SIMILARITY = 0.45;
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "are", "but", "not", "you", "all", "any", "can", "had", "her", "was", "one",
+  "our", "out", "has", "his", "how", "its", "may", "new", "now", "off", "old", "see", "two", "who",
+  "why", "did", "get", "got", "let", "say", "says", "said", "she", "too", "use", "with", "from",
+  "that", "this", "than", "then", "them", "they", "their", "there", "these", "those", "what", "when",
+  "where", "which", "while", "will", "would", "could", "should", "about", "after", "again", "also",
+  "into", "over", "more", "most", "some", "such", "only", "other", "just", "like", "been", "being",
+  "have", "here", "were", "your", "yours", "amid", "news", "report", "reports", "today", "year",
+]);
+
+// Light stemming so "processor"/"processors" and "laptop's"/"laptop" match
+function stem(word) {
+  let w = word.replace(/'s$/, "");
+  if (w.length > 4 && w.endsWith("ies")) return `${w.slice(0, -3)}y`;
+  if (w.length > 3 && w.endsWith("s") && !w.endsWith("ss")) w = w.slice(0, -1);
+  return w;
+}
+
+function tokens(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[’']/g, "'")
+    .split(/[^a-z0-9']+/)
+    .map((t) => stem(t.replace(/^'+|'+$/g, "")))
+    .filter((t) => t.length >= 3 && !STOPWORDS.has(t));
+}
+
+function tokenSet(text) {
+  return new Set(tokens(text));
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared += 1;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function isSameStory(x, y) {
+  if (x.url && x.url === y.url) return true;
+  return jaccard(x.titleTerms, y.titleTerms) >= TITLE_SIMILARITY
+    || jaccard(x.allTerms, y.allTerms) >= STORY_SIMILARITY;
+}
+
+// Best article to stand in for a story: the most descriptive one, then the newest
+function pickRepresentative(members) {
+  return [...members].sort((a, b) => {
+    const detail = (b.description || "").length + (b.urlToImage ? 40 : 0)
+      - ((a.description || "").length + (a.urlToImage ? 40 : 0));
+    if (detail !== 0) return detail;
+    return String(b.publishedAt || "").localeCompare(String(a.publishedAt || ""));
+  })[0];
+}
+
+function clusterId(representative) {
+  const key = representative.url || representative.title || "";
+  return `story-${crypto.createHash("md5").update(key).digest("hex").slice(0, 10)}`;
+}
+
+// Group normalized articles into stories. Returns clusters in order of first
+// appearance: [{ id, representative, articles }]
+function clusterArticles(articles) {
+  const list = Array.isArray(articles) ? articles : [];
+  const prepared = list.map((a) => ({
+    url: a.url ? canonicalizeUrl(a.url) : "",
+    titleTerms: tokenSet(a.title),
+    allTerms: tokenSet(`${a.title || ""} ${a.description || ""}`),
+  }));
+
+  // Union-find over pairwise matches (candidate lists are small)
+  const parent = list.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      if (find(i) !== find(j) && isSameStory(prepared[i], prepared[j])) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  list.forEach((article, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(article);
+  });
+
+  return [...groups.values()].map((members) => {
+    const representative = pickRepresentative(members);
+    return { id: clusterId(representative), representative, articles: members };
+  });
+}
+
+// One article per story, each annotated with a `cluster` describing the
+// other outlets that covered it:
+// { id, size, sources: [names], corroborating: [{ title, source, url, articleId }] }
+function collapseClusters(articles) {
+  return clusterArticles(articles).map(({ id, representative, articles: members }) => {
+    const others = members.filter((a) => a !== representative);
+    const sources = [...new Set(members.map((a) => a.source).filter(Boolean))];
+    return {
+      ...representative,
+      cluster: {
+        id,
+        size: members.length,
+        sources,
+        corroborating: others.map((a) => ({ title: a.title, source: a.source, url: a.url, articleId: a.articleId })),
+      },
+    };
+  });
+}
+
+module.exports = {
+  clusterArticles,
+  collapseClusters,
+};
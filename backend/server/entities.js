@@ -0,0 +1,322 @@
+// backend/server/entities.js
+// Named-entity tagging without any model or network: people, organizations
+// and locations are found in an article's title and description with
+//
+//   - dictionaries: data/entities.json (well-known people and organizations
+//     with their aliases) and the gazetteer behind geo.js (countries, regions
+//     and major cities)
+//   - rules for names the dictionaries don't know: a title before a name
+//     ("Senator Jane Doe"), a common first name ("Maria Gonzalez"), a name
+//     followed by "said", and organization words ("Acme Corp", "Ministry of
+//     Health")
+//
+// Every normalized article carries the result as
+//   entities: { people: [...], organizations: [...], locations: [...] }
+// using dictionary names where known ("Fed" is tagged "Federal Reserve").
+
+const dictionary = require("./data/entities.json");
+const gazetteer = require("./data/gazetteer.json");
+
+const ENTITY_TYPES = ["people", "organizations", "locations"];
+const MAX_PER_TYPE = 10;
+const MAX_DICTIONARY_WORDS = 6;
+
+// Words that introduce a person's name
+const TITLES = new Set([
+  "president", "vice", "prime", "minister", "chancellor", "secretary", "senator", "sen", "rep",
+  "representative", "congressman", "congresswoman", "governor", "gov", "mayor", "judge", "justice",
+  "king", "queen", "prince", "princess", "pope", "mr", "mrs", "ms", "dr", "sir", "dame", "ceo",
+  "founder", "chairman", "chairwoman", "coach", "general", "gen", "ambassador", "lawmaker",
+  "leader", "premier", "sheikh", "president-elect",
+]);
+
+// First names common in the news; words that are also ordinary English ("Will", "May", "Bill") are left out
+const FIRST_NAMES = new Set([
+  "aaron", "adam", "ahmed", "alan", "alex", "alexander", "ali", "alice", "amanda", "amy", "ana", "andrew",
+  "angela", "ann", "anna", "anne", "anthony", "antonio", "barbara", "ben", "benjamin", "brian", "carlos",
+  "carol", "catherine", "charles", "chris", "christopher", "claire", "daniel", "david", "deborah", "donald",
+  "elizabeth", "emily", "emma", "eric", "fatima", "francesca", "francis", "frank", "gary", "george",
+  "hannah", "helen", "henry", "hugo", "ian", "isabel", "jack", "james", "jane", "janet", "jason", "javier",
+  "jean", "jennifer", "jessica", "jim", "joe", "john", "jonathan", "jose", "joseph", "juan", "julia",
+  "karen", "kate", "katherine", "kevin", "laura", "linda", "lisa", "luis", "maria", "marie", "mary",
+  "matthew", "michael", "michelle", "mohammed", "muhammad", "nancy", "nicholas", "nicola", "olivia",
+  "patrick", "paul", "peter", "rachel", "richard", "robert", "ryan", "samuel", "sara", "sarah", "scott",
+  "sophie", "stephen", "steve", "steven", "susan", "thomas", "timothy", "tom", "victoria", "william",
+]);
+
+// Words that end ("Acme Corp", "Labour Party") or open ("Ministry of Health") an organization's name
+const ORG_SUFFIXES = new Set([
+  "inc", "corp", "corporation", "co", "ltd", "llc", "plc", "ag", "sa", "group", "holdings", "bank",
+  "airlines", "airways", "motors", "technologies", "pharmaceuticals", "labs", "university", "college",
+  "institute", "foundation", "association", "agency", "commission", "council", "committee", "ministry",
+  "department", "party", "union", "federation", "league", "fc", "club", "police", "army", "navy",
+  "authority", "board", "court", "parliament", "network", "studios", "systems", "energy", "capital",
+]);
+const ORG_PREFIXES = new Set(["ministry", "department", "university", "bank", "office", "bureau", "institute"]);
+
+// Lowercase words allowed inside a name ("Bank of England", "Ursula von der Leyen")
+const CONNECTORS = new Set(["of", "for", "and", "&", "de", "del", "da", "do", "dos", "du", "von", "van", "der", "den", "la", "le", "bin", "al", "el"]);
+const SPEECH_VERBS = new Set(["said", "says", "told", "added", "wrote", "announced"]);
+// City names that are as often a person's name; only tagged after "in", "at", etc.
+const PLACE_PREPOSITIONS = new Set(["in", "at", "from", "near", "to", "across", "outside", "around", "downtown"]);
+const AMBIGUOUS_PLACES = new Set([
+  "jackson", "lincoln", "charlotte", "madison", "victoria", "hamilton", "austin", "phoenix", "salem",
+  "columbia", "nice", "mesa", "regina", "kingston", "florence", "concord", "dover", "reno", "richmond",
+  "lexington", "santiago", "salvador", "darwin", "wellington", "sofia", "jordan", "chad", "georgia",
+  "washington", "helena", "montgomery", "buffalo", "mobile", "split",
+]);
+
+// "Zelenskyy's" and "ZELENSKYY" look the same; so do "Erdoğan" and "Erdogan"
+function entityKey(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/['’]s$/, "")
+    .replace(/[.'’]/g, "")
+    .replace(/[\s-]+/g, " ")
+    .trim();
+}
+
+let lookup = null;
+
+// entityKey(name or alias) -> { type, name, acronym }, built on first use.
+// People and organizations win over places sharing a name.
+function getLookup() {
+  if (lookup) return lookup;
+  lookup = new Map();
+  const add = (type, name, aliases = []) => {
+    for (const text of [name, ...aliases]) {
+      const key = entityKey(text);
+      // Acronyms ("WHO", "US") only count in capitals, so "Who" and "us" never do
+      const acronym = /^[\p{Lu}\p{N}.&]+$/u.test(text);
+      if (key && !lookup.has(key)) lookup.set(key, { type, name, acronym });
+    }
+  };
+  for (const person of dictionary.people) add("people", person.name, person.aliases);
+  for (const org of dictionary.organizations) add("organizations", org.name, org.aliases);
+  add("locations", "United States", ["US"]);
+  for (const country of gazetteer.countries) add("locations", country.name, country.aliases);
+  for (const region of gazetteer.regions) add("locations", region.name, region.aliases);
+  for (const city of gazetteer.cities) add("locations", city.name, city.aliases);
+  return lookup;
+}
+
+function isCapitalized(word) {
+  return /^\p{Lu}/u.test(word) || /^\p{N}+\p{Lu}/u.test(word);
+}
+
+function matchesCase(entity, span) {
+  return !entity.acronym || span.every((w) => /^[\p{Lu}\p{N}.&]+$/u.test(w.text));
+}
+
+// Words in order, keeping "U.S." and "Mr." together. `pause` marks a word
+// after punctuation, which ends a name.
+function tokenize(text) {
+  const words = [];
+  const pattern = /[\p{L}\p{N}](?:[\p{L}\p{N}'’&-]|\.(?=\p{L}\.)|\.(?=\p{L}\b))*\.?/gu;
+  let match;
+  let end = 0;
+  while ((match = pattern.exec(text)) !== null) {
+    let word = match[0];
+    // Keep the dot of abbreviations ("U.S.", "Mr.") but not a sentence's full stop
+    if (word.endsWith(".") && !/^(\p{L}\.)+$/u.test(word) && !TITLES.has(entityKey(word))) {
+      word = word.slice(0, -1);
+    }
+    const gap = text.slice(end, match.index);
+    words.push({
+      text: word.replace(/['’]s$/, ""),
+      key: entityKey(word),
+      capitalized: isCapitalized(word),
+      pause: /[^\s]/.test(gap) || (words.length > 0 && words[words.length - 1].text.endsWith(".") && !TITLES.has(words[words.length - 1].key)),
+    });
+    end = match.index + word.length;
+  }
+  return words;
+}
+
+// Runs of capitalized words, with connectors allowed between two of them
+function capitalizedRuns(words) {
+  const runs = [];
+  let run = null;
+  words.forEach((word, i) => {
+    if (run && word.pause) {
+      runs.push(run);
+      run = null;
+    }
+    const connector = CONNECTORS.has(word.text) && run && words[i + 1]?.capitalized && !words[i + 1].pause;
+    if (word.capitalized || connector) {
+      if (!run) run = { start: i, words: [] };
+      run.words.push(word);
+    } else if (run) {
+      runs.push(run);
+      run = null;
+    }
+  });
+  if (run) runs.push(run);
+  return runs;
+}
+
+function joinWords(words) {
+  return words.map((w) => w.text).join(" ");
+}
+
+// Classify a run the dictionaries didn't know, or null
+function classifyUnknown(run, previous, next) {
+  let words = run;
+  while (words.length > 0 && CONNECTORS.has(words[words.length - 1].text)) words = words.slice(0, -1);
+  if (words.length === 0) return null;
+
+  const first = words[0].key;
+  const last = words[words.length - 1].key;
+  if (words.length >= 2 && (ORG_SUFFIXES.has(last) || ORG_PREFIXES.has(first))) {
+    return { type: "organizations", name: joinWords(words) };
+  }
+
+  // Leading titles ("President", "Prime Minister") point to the name after them
+  let titled = TITLES.has(previous?.key) && !previous?.capitalized;
+  while (words.length > 0 && TITLES.has(words[0].key)) {
+    titled = true;
+    words = words.slice(1);
+  }
+  if (words.length === 0 || words.length > 3 || words.some((w) => CONNECTORS.has(w.text) || ORG_SUFFIXES.has(w.key))) {
+    return null;
+  }
+  const named = FIRST_NAMES.has(words[0].key) && words.length >= 2;
+  // "Jane Doe said", but not "the White House said"
+  const quoted = words.length >= 2 && SPEECH_VERBS.has(next?.key) && !next?.capitalized && previous?.key !== "the";
+  if (titled || named || quoted) return { type: "people", name: joinWords(words) };
+  return null;
+}
+
+function tagSegment(text, found) {
+  const words = tokenize(text);
+  const table = getLookup();
+
+  for (const run of capitalizedRuns(words)) {
+    const unknown = [];
+    const flush = (nextWord) => {
+      if (unknown.length === 0) return;
+      const previous = words[run.start + run.words.indexOf(unknown[0]) - 1];
+      const entity = classifyUnknown(unknown, previous, nextWord);
+      if (entity) found.push(entity);
+      unknown.length = 0;
+    };
+
+    let i = 0;
+    while (i < run.words.length) {
+      // Longest dictionary match starting here
+      let matched = null;
+      for (let n = Math.min(MAX_DICTIONARY_WORDS, run.words.length - i); n >= 1 && !matched; n--) {
+        const span = run.words.slice(i, i + n);
+        if (CONNECTORS.has(span[0].text) || CONNECTORS.has(span[n - 1].text)) continue;
+        const key = entityKey(joinWords(span));
+        const entity = table.get(key);
+        if (!entity || !matchesCase(entity, span)) continue;
+        // A known first name followed by a capitalized word is a person ("Michael Jordan"), not the place
+        if (n === 1 && entity.type === "locations" && FIRST_NAMES.has(run.words[i - 1]?.key)) continue;
+        if (n === 1 && entity.type === "locations" && AMBIGUOUS_PLACES.has(key)) {
+          const previous = words[run.start + i - 1];
+          if (!PLACE_PREPOSITIONS.has(previous?.key)) continue;
+        }
+        matched = { entity, length: n };
+      }
+      // In a Title Case headline a name is only known by its first name ("Maria Lopez Wins Award")
+      const name = run.words[i + 1];
+      if (!matched && FIRST_NAMES.has(run.words[i].key) && name && !CONNECTORS.has(name.text)) {
+        const initial = /^\p{Lu}\.$/u.test(name.text) && run.words[i + 2];
+        matched = { entity: { type: "people", name: joinWords(run.words.slice(i, initial ? i + 3 : i + 2)) }, length: initial ? 3 : 2 };
+      }
+      if (matched) {
+        flush(run.words[i]);
+        found.push(matched.entity);
+        i += matched.length;
+      } else {
+        unknown.push(run.words[i]);
+        i += 1;
+      }
+    }
+    flush(words[run.start + run.words.length]);
+  }
+}
+
+function emptyEntities() {
+  return { people: [], organizations: [], locations: [] };
+}
+
+// People, organizations and locations mentioned in an article's title and description
+function extractEntities(article) {
+  const found = [];
+  // Title and description are tagged separately so a headline doesn't run into the text
+  tagSegment(article?.title || "", found);
+  tagSegment(article?.description || "", found);
+
+  const entities = emptyEntities();
+  const seen = new Set();
+  for (const { type, name } of found) {
+    const key = `${type} ${entityKey(name)}`;
+    if (seen.has(key) || entities[type].length >= MAX_PER_TYPE) continue;
+    seen.add(key);
+    entities[type].push(name);
+  }
+  // "Doe" on its own is the "Jane Doe" mentioned elsewhere in the article
+  entities.people = entities.people.filter((name) => !entities.people.some((other) =>
+    other !== name && entityKey(other).endsWith(` ${entityKey(name)}`)
+  ));
+  return entities;
+}
+
+// Dictionary name for an entity a user typed ("fed" -> "Federal Reserve"), else the text as given
+function canonicalEntityName(type, text) {
+  const entity = getLookup().get(entityKey(text));
+  return entity && entity.type === type ? entity.name : String(text || "").trim();
+}
+
+// Whether the article mentions the entity; a surname alone also matches the full name
+function mentionsEntity(entities, type, name) {
+  const wanted = entityKey(canonicalEntityName(type, name));
+  if (!wanted || !entities || !Array.isArray(entities[type])) return false;
+  return entities[type].some((candidate) => {
+    const key = entityKey(candidate);
+    return key === wanted || key.endsWith(` ${wanted}`) || key.startsWith(`${wanted} `);
+  });
+}
+
+// Most mentioned entities across a briefing's articles, for its history entry
+function mergeEntities(list, limit = MAX_PER_TYPE) {
+  const merged = emptyEntities();
+  for (const type of ENTITY_TYPES) {
+    const counts = new Map();
+    for (const entities of list || []) {
+      for (const name of entities?.[type] || []) {
+        const key = entityKey(name);
+        const entry = counts.get(key) || { name, count: 0 };
+        entry.count += 1;
+        counts.set(key, entry);
+      }
+    }
+    merged[type] = [...counts.values()].sort((a, b) => b.count - a.count).slice(0, limit).map((e) => e.name);
+  }
+  return merged;
+}
+
+// Entities as received from a client: known types only, short unique strings
+function sanitizeEntities(entities) {
+  const clean = emptyEntities();
+  if (!entities || typeof entities !== "object") return clean;
+  for (const type of ENTITY_TYPES) {
+    const values = Array.isArray(entities[type]) ? entities[type] : [];
+    clean[type] = [...new Set(values.filter((v) => typeof v === "string").map((v) => v.trim().slice(0, 80)).filter(Boolean))]
+      .slice(0, MAX_PER_TYPE);
+  }
+  return clean;
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  extractEntities,
+  canonicalEntityName,
+  mentionsEntity,
+  mergeEntities,
+  sanitizeEntities,
+};
@@ -0,0 +1,60 @@
+// backend/server/explain.js
+// "Why is this story here?" metadata for briefing items, returned when a
+// summarize request sets `explain: true` (or `debug: true`). Each item then
+// carries an `explain` object:
+//
+//   {
+//     provenance:     { provider, call, query, category, country, sources, feedId }
+//                     (the provider call that returned the article, or null
+//                     when unknown, e.g. for articles cached before tagging)
+//     relevance:      { score, matched } from the relevance ranking, or null
+//                     for core categories
+//     match:          "strict" (one of the topic's top stories) or
+//                     "backfill" (another story that passed the topic's
+//                     relevance filter, added to reach the minimum item count)
+//     sentimentScore: -1..1
+//     inSummary:      whether the article was part of the spoken summary
+//   }
+
+const { articleSentiment } = require("./sentiment");
+
+function wantsExplain(body) {
+  if (!body || typeof body !== "object") return false;
+  return [body.explain, body.debug].some((flag) => flag === true || flag === "true" || flag === 1 || flag === "1");
+}
+
+// Tag the articles one provider call returned with where they came from.
+// Empty fields are left out.
+function tagProvenance(articles, provenance) {
+  const tag = Object.fromEntries(
+    Object.entries(provenance).filter(([, value]) => value !== undefined && value !== null && value !== "" &&
+      !(Array.isArray(value) && value.length === 0))
+  );
+  return (articles || []).map((article) => ({ ...article, provenance: tag }));
+}
+
+// Which of a topic's articles fed its spoken summary, filled in by summarizeArticles:
+// the summary covers the first `used` articles, produced the way `mode` says
+// ("generated", "cache", "titles" or "none"), `provider`/`model` name what
+// wrote it (null when the titles were read out instead) and `segments` are its
+// sentences with the articles they cite (see citations.js)
+function createSummaryTrace() {
+  return { mode: "none", used: 0, provider: null, model: null, segments: [] };
+}
+
+function explainItem(article, { match, inSummary = false }) {
+  return {
+    provenance: article.provenance || null,
+    relevance: article.relevance || null,
+    match,
+    sentimentScore: articleSentiment(article).score,
+    inSummary,
+  };
+}
+
+module.exports = {
+  wantsExplain,
+  tagProvenance,
+  createSummaryTrace,
+  explainItem,
+};
@@ -0,0 +1,185 @@
+// backend/server/extract.js
+// Full-text article extraction. Fetches an article page, strips boilerplate
+// and keeps the main body paragraphs so summarization can work from more
+// than the provider's one-line description. Results (including failures)
+// are cached by URL.
+
+const crypto = require("crypto");
+const cache = require("./cache");
+const { decodeEntities } = require("./providers/feedParser");
+const { replayable, isRecording } = require("./replay");
+const { readLimited, fetchPublic } = require("./safeFetch");
+
+const EXTRACTION_ENABLED = process.env.ARTICLE_EXTRACTION !== "off";
+const EXCERPT_CHARS = Number(process.env.ARTICLE_EXCERPT_CHARS) || 800;
+const FETCH_TIMEOUT_MS = 6000;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const MIN_ARTICLE_CHARS = 300; // less than this is a teaser, not an article
+const MIN_PARAGRAPH_CHARS = 40;
+const SUCCESS_CACHE_SECONDS = 24 * 60 * 60;
+const FAILURE_CACHE_SECONDS = 60 * 60;
+
+// Elements that never hold article body text
+const BOILERPLATE_TAGS = ["script", "style", "noscript", "svg", "nav", "header", "footer", "aside", "form", "iframe", "figure", "button", "select"];
+
+// Paragraphs that are site chrome rather than content
+const BOILERPLATE_TEXT = /(cookie|subscribe|sign up|newsletter|advertisement|all rights reserved|read more|related articles|follow us|privacy policy|terms of (use|service))/i;
+
+// Markers publishers use for paywalled or metered content
+const PAYWALL_MARKERS = [
+  /"isAccessibleForFree"\s*:\s*"?false"?/i,
+  /class="[^"]*\b(paywall|meteredContent|subscriber-only|premium-content)\b/i,
+  /\b(subscribe to (continue|read)|this (article|story) is for subscribers)\b/i,
+];
+
+// Containers that usually wrap the article body, most specific first
+const CONTENT_CONTAINERS = [
+  /<[a-z]+[^>]+itemprop=["']articleBody["'][^>]*>/i,
+  /<[a-z]+[^>]+(class|id)=["'][^"']*\b(article-body|article__body|articleBody|story-body|storyBody|post-content|entry-content|article-content)\b[^"']*["'][^>]*>/i,
+  /<article\b[^>]*>/i,
+  /<main\b[^>]*>/i,
+];
+
+function cacheKeyFor(url) {
+  return `extract:${crypto.createHash("md5").update(String(url)).digest("hex")}`;
+}
+
+function removeBoilerplate(html) {
+  let out = String(html || "").replace(/<!--[\s\S]*?-->/g, " ");
+  for (const tag of BOILERPLATE_TAGS) {
+    out = out.replace(new RegExp(`<${tag}\\b[\\s\\S]*?</${tag}>`, "gi"), " ");
+  }
+  return out;
+}
+
+function paragraphsIn(html) {
+  const paragraphs = [];
+  const re = /<p\b[^>]*>([\s\S]*?)<\/p>/gi;
+  let match;
+  while ((match = re.exec(html)) !== null) {
+    const inner = match[1];
+    const text = decodeEntities(inner.replace(/<[^>]+>/g, " ")).replace(/\s+/g, " ").trim();
+    if (text.length < MIN_PARAGRAPH_CHARS || BOILERPLATE_TEXT.test(text)) continue;
+    // Skip link lists ("More from ...") where most of the text is anchors
+    const linkText = (inner.match(/<a\b[^>]*>([\s\S]*?)<\/a>/gi) || [])
+      .map((a) => a.replace(/<[^>]+>/g, ""))
+      .join("");
+    if (linkText.length > text.length * 0.5) continue;
+    paragraphs.push(text);
+  }
+  return paragraphs;
+}
+
+// Readability-style main content: try the likely body containers and keep the
+// one yielding the most paragraph text, falling back to the whole page
+function extractMainText(html) {
+  const cleaned = removeBoilerplate(html);
+  let best = paragraphsIn(cleaned);
+  let bestLength = best.join(" ").length;
+
+  for (const container of CONTENT_CONTAINERS) {
+    const match = cleaned.match(container);
+    if (!match) continue;
+    const region = cleaned.slice(match.index);
+    const paragraphs = paragraphsIn(region);
+    const length = paragraphs.join(" ").length;
+    // Prefer a container unless it lost most of the page's paragraphs
+    if (length >= bestLength * 0.6) {
+      best = paragraphs;
+      bestLength = length;
+      break;
+    }
+  }
+
+  return best.join("\n\n");
+}
+
+function looksPaywalled(html) {
+  return PAYWALL_MARKERS.some((re) => re.test(html));
+}
+
+async function fetchPage(url) {
+  return replayable("pages", "article page", { url }, () => fetchLivePage(url), { encoding: "text" });
+}
+
+// Article URLs can come from user-added feeds, so private hosts are refused on
+// every redirect hop and only the first MAX_PAGE_BYTES of the page are read
+async function fetchLivePage(url) {
+  const resp = await fetchPublic(url, {
+    headers: { Accept: "text/html,application/xhtml+xml" },
+    timeoutMs: FETCH_TIMEOUT_MS,
+  });
+  if (!resp.ok) {
+    throw new Error(`Page fetch failed: ${resp.status}`);
+  }
+  const contentType = resp.headers.get("content-type") || "";
+  if (!/html/i.test(contentType)) {
+    throw new Error(`Unsupported content type: ${contentType}`);
+  }
+  const html = await readLimited(resp, MAX_PAGE_BYTES, { truncate: true });
+  return html.toString("utf8");
+}
+
+// Extract the cleaned body text of an article page.
+// Resolves to { text, status } where status is "ok", "paywalled" or "failed";
+// never rejects.
+async function extractArticleText(url) {
+  if (!url || !/^https?:\/\//i.test(url)) {
+    return { text: "", status: "failed" };
+  }
+
+  const cacheKey = cacheKeyFor(url);
+  const cached = isRecording() ? null : await cache.get(cacheKey);
+  if (cached) return cached;
+
+  let result;
+  try {
+    const html = await fetchPage(url);
+    const text = extractMainText(html);
+    if (text.length >= MIN_ARTICLE_CHARS) {
+      result = { text, status: "ok" };
+    } else {
+      result = { text: "", status: looksPaywalled(html) ? "paywalled" : "failed" };
+    }
+  } catch (error) {
+    console.log(`Article extraction failed for ${url}: ${error.message}`);
+    result = { text: "", status: "failed" };
+  }
+
+  await cache.set(cacheKey, result, result.status === "ok" ? SUCCESS_CACHE_SECONDS : FAILURE_CACHE_SECONDS);
+  return result;
+}
+
+// Trim text to at most maxChars, ending at a sentence boundary when possible
+function boundedExcerpt(text, maxChars = EXCERPT_CHARS) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (clean.length <= maxChars) return clean;
+  const slice = clean.slice(0, maxChars);
+  const lastStop = Math.max(slice.lastIndexOf(". "), slice.lastIndexOf("! "), slice.lastIndexOf("? "));
+  return lastStop > maxChars * 0.5 ? slice.slice(0, lastStop + 1) : `${slice.trim()}…`;
+}
+
+// Attach a bounded `bodyExcerpt` to each article, falling back to the
+// provider description when extraction fails or the page is paywalled
+async function addBodyExcerpts(articles, maxChars = EXCERPT_CHARS) {
+  if (!EXTRACTION_ENABLED) {
+    return articles.map((a) => ({ ...a, bodyExcerpt: boundedExcerpt(a.description, maxChars), extraction: "disabled" }));
+  }
+  return Promise.all(
+    articles.map(async (a) => {
+      const { text, status } = await extractArticleText(a.url);
+      return {
+        ...a,
+        bodyExcerpt: boundedExcerpt(status === "ok" ? text : a.description, maxChars),
+        extraction: status,
+      };
+    })
+  );
+}
+
+module.exports = {
+  extractArticleText,
+  extractMainText,
+  addBodyExcerpts,
+  boundedExcerpt,
+};
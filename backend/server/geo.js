@@ -0,0 +1,277 @@
+// backend/server/geo.js
+// Location handling shared by the summarize routes and /api/location, backed
+// by the offline gazetteer in data/gazetteer.json (countries with ISO codes,
+// major regions and a few hundred major cities with coordinates).
+//
+// Every resolved location has the shape the news fetchers expect:
+//   { city, region, country, countryCode, countryName, lat?, lon? }
+// where `country` and `countryCode` are both the ISO 3166-1 alpha-2 code
+// ("" when the country is unknown).
+
+const gazetteer = require("./data/gazetteer.json");
+
+// Reverse geocoding radii: close to a known city we report the city itself,
+// further out only its region and country
+const CITY_RADIUS_KM = 40;
+const REGION_RADIUS_KM = 200;
+const COUNTRY_RADIUS_KM = 800;
+
+// "Québec", "quebec" and "QUEBEC" are the same place; so are "St. Louis" and "Saint Louis"
+function placeKey(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[.'’]/g, "")
+    .replace(/[\s-]+/g, " ")
+    .replace(/^saint /, "st ")
+    .trim();
+}
+
+function addToIndex(index, key, entry) {
+  if (!key) return;
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(entry);
+}
+
+let indexes = null;
+
+// Lookup tables, built on first use
+function getIndexes() {
+  if (indexes) return indexes;
+  const countries = new Map(); // code -> country
+  const countryNames = new Map(); // name/alias key -> country
+  const regions = new Map(); // name/alias key -> [region]
+  const regionAbbrs = new Map(); // "ca" -> [region]
+  const cities = new Map(); // name/alias key -> [city], in gazetteer order
+
+  for (const country of gazetteer.countries) {
+    countries.set(country.code, country);
+    for (const name of [country.name, ...(country.aliases || [])]) {
+      countryNames.set(placeKey(name), country);
+    }
+  }
+  for (const region of gazetteer.regions) {
+    for (const name of [region.name, ...(region.aliases || [])]) {
+      addToIndex(regions, placeKey(name), region);
+    }
+    if (region.abbr) addToIndex(regionAbbrs, region.abbr.toLowerCase(), region);
+  }
+  for (const city of gazetteer.cities) {
+    for (const name of [city.name, ...(city.aliases || [])]) {
+      addToIndex(cities, placeKey(name), city);
+    }
+  }
+  indexes = { countries, countryNames, regions, regionAbbrs, cities };
+  return indexes;
+}
+
+function countryName(code) {
+  return getIndexes().countries.get(code)?.name || "";
+}
+
+// ISO alpha-2 code for a country code, name or alias ("uk", "USA",
+// "Deutschland"), or "" when it isn't a known country
+function normalizeCountryCode(value) {
+  const text = String(value || "").trim();
+  if (!text) return "";
+  const { countries, countryNames } = getIndexes();
+  if (/^[a-z]{2}$/i.test(text)) {
+    const code = text.toUpperCase();
+    if (countries.has(code)) return code;
+  }
+  return countryNames.get(placeKey(text))?.code || "";
+}
+
+// Regions matching a name or (US/Canadian/Australian) abbreviation
+function findRegions(text, country = "") {
+  const { regions, regionAbbrs } = getIndexes();
+  const key = placeKey(text);
+  const matches = [...(regions.get(key) || []), ...(regionAbbrs.get(key) || [])];
+  return country ? matches.filter((r) => r.country === country) : matches;
+}
+
+function findCity(text, { country = "", region = "" } = {}) {
+  const candidates = getIndexes().cities.get(placeKey(text)) || [];
+  return candidates.find((c) =>
+    (!country || c.country === country) && (!region || placeKey(c.region) === placeKey(region))
+  ) || null;
+}
+
+function fromCity(city) {
+  return {
+    city: city.name,
+    region: city.region || "",
+    country: city.country,
+    countryCode: city.country,
+    countryName: countryName(city.country),
+    lat: city.lat,
+    lon: city.lon,
+  };
+}
+
+function fromParts(city, region, country) {
+  return { city, region, country, countryCode: country, countryName: countryName(country) };
+}
+
+// Free-text location -> geo. Understands "City", "Region", "Country",
+// "City, Region", "City, Country", "City, Region, Country" and US/Canadian/
+// Australian abbreviations ("Portland, OR"). Ambiguous names resolve to the
+// first gazetteer match, so "Paris" is Paris, France and "Georgia" the US
+// state. Unknown places are kept as free text without a country.
+function parseLocation(text) {
+  const parts = String(text || "").split(",").map((p) => p.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  if (parts.length === 1) {
+    const [only] = parts;
+    // Two-letter input is a US state abbreviation first ("CA", "NY"), then a country code
+    if (/^[a-z]{2}$/i.test(only)) {
+      const state = findRegions(only, "US")[0];
+      if (state) return fromParts("", state.name, "US");
+      const code = normalizeCountryCode(only);
+      if (code) return fromParts("", "", code);
+    }
+    const region = findRegions(only)[0];
+    if (region) return fromParts("", region.name, region.country);
+    const country = normalizeCountryCode(only);
+    if (country) return fromParts("", "", country);
+    const city = findCity(only);
+    if (city) return fromCity(city);
+    return fromParts(only, "", "");
+  }
+
+  const cityText = parts[0];
+  const last = parts[parts.length - 1];
+
+  if (parts.length >= 3) {
+    // City, Region, Country
+    const country = normalizeCountryCode(last);
+    const regionText = parts[parts.length - 2];
+    const region = findRegions(regionText, country)[0];
+    const city = findCity(cityText, { country, region: region?.name });
+    if (city) return fromCity(city);
+    const geo = fromParts(cityText, region ? region.name : regionText, country || region?.country || "");
+    if (!country && !region) geo.countryName = last;
+    return geo;
+  }
+
+  // City, Region or City, Country: prefer whichever reading finds the city
+  const regions = findRegions(last);
+  const country = normalizeCountryCode(last);
+  for (const region of regions) {
+    const city = findCity(cityText, { country: region.country, region: region.name });
+    if (city) return fromCity(city);
+  }
+  if (country) {
+    const city = findCity(cityText, { country });
+    if (city) return fromCity(city);
+    // "Bavaria, Germany"
+    const region = findRegions(cityText, country)[0];
+    if (region) return fromParts("", region.name, country);
+  }
+  // The city isn't in the gazetteer: keep it as given
+  if (regions.length > 0) {
+    const region = regions[0];
+    return fromParts(cityText, region.name, region.country);
+  }
+  if (country) return fromParts(cityText, "", country);
+  return fromParts(cityText, last, "");
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Coordinates from the app -> geo, based on the nearest gazetteer city.
+// Returns null for invalid coordinates or places far from any known city.
+function reverseGeocode(lat, lon) {
+  const latitude = Number(lat);
+  const longitude = Number(lon);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+  let nearest = null;
+  let nearestKm = Infinity;
+  for (const city of gazetteer.cities) {
+    const km = distanceKm(latitude, longitude, city.lat, city.lon);
+    if (km < nearestKm) {
+      nearest = city;
+      nearestKm = km;
+    }
+  }
+  if (!nearest || nearestKm > COUNTRY_RADIUS_KM) return null;
+
+  const geo = nearestKm <= CITY_RADIUS_KM
+    ? fromCity(nearest)
+    : fromParts("", nearestKm <= REGION_RADIUS_KM ? nearest.region || "" : "", nearest.country);
+  return { ...geo, lat: latitude, lon: longitude };
+}
+
+// Normalize a structured geo object from a client ({ city, region, country }
+// with any country spelling, or { lat, lon })
+function normalizeGeo(geo) {
+  const lat = geo.lat ?? geo.latitude;
+  const lon = geo.lon ?? geo.lng ?? geo.longitude;
+  if (lat !== undefined && lon !== undefined) {
+    const located = reverseGeocode(lat, lon);
+    if (located) return located;
+  }
+
+  const cityText = String(geo.city || "").trim();
+  const regionText = String(geo.region || geo.state || "").trim();
+  let country = normalizeCountryCode(geo.countryCode || geo.country);
+  const region = regionText ? findRegions(regionText, country)[0] : null;
+  if (!country && region) country = region.country;
+
+  const city = cityText ? findCity(cityText, { country, region: region?.name }) : null;
+  if (city) return fromCity(city);
+  if (!cityText && !regionText && !country) return null;
+  return fromParts(cityText, region ? region.name : regionText, country);
+}
+
+// Resolve whatever location a request carries: a geo object (fields or
+// coordinates) wins over a free-text location string. Null when neither is set.
+function resolveGeo({ geo = null, location = "" } = {}) {
+  if (geo && typeof geo === "object") {
+    const resolved = normalizeGeo(geo);
+    if (resolved) return resolved;
+  }
+  if (typeof location === "string" && location.trim()) {
+    return parseLocation(location);
+  }
+  return null;
+}
+
+// Lower-case country code for a provider's top headlines, or "" when the
+// provider can't filter on that country (providers without a `countries`
+// list accept any)
+function providerCountryCode(geo, provider) {
+  const code = normalizeCountryCode(geo?.countryCode || geo?.country).toLowerCase();
+  if (!code) return "";
+  if (Array.isArray(provider?.countries) && !provider.countries.includes(code)) return "";
+  return code;
+}
+
+// "Los Angeles, California, United States"
+function formatLocation(geo) {
+  if (!geo) return "";
+  return [geo.city, geo.region, geo.countryName || geo.country].filter(Boolean).join(", ");
+}
+
+module.exports = {
+  normalizeCountryCode,
+  parseLocation,
+  reverseGeocode,
+  resolveGeo,
+  providerCountryCode,
+  formatLocation,
+};
@@ -0,0 +1,152 @@
+// backend/server/images.js
+// Story thumbnails. Publisher images (`urlToImage`) aren't handed to clients
+// directly: hot-linking is unreliable and leaks listeners to third parties.
+// Instead every image gets a stable thumbnail URL
+//
+//   /media/thumbs/<id>.webp?src=<image url>
+//
+// where <id> is an HMAC of the image URL, so only URLs we issued can be
+// fetched through the proxy. On first request the image is downloaded
+// (images only, at most IMAGE_MAX_BYTES, never from private addresses),
+// resized to THUMBNAIL_WIDTH and stored under media/thumbs, where the static
+// media route serves it from then on. Failures are remembered for an hour.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const cache = require("./cache");
+const { replayable } = require("./replay");
+const { UnsafeFetchError, isFetchableUrl, readLimited, fetchPublic } = require("./safeFetch");
+
+const THUMBNAIL_DIR = path.join(__dirname, "media", "thumbs");
+const THUMBNAIL_PATH = "/media/thumbs";
+const THUMBNAIL_WIDTH = Number(process.env.THUMBNAIL_WIDTH) || 480;
+const THUMBNAIL_HEIGHT = Math.round(THUMBNAIL_WIDTH * 9 / 16);
+const MAX_IMAGE_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 8000;
+const FAILURE_CACHE_SECONDS = 60 * 60;
+const THUMBNAIL_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // older thumbnails are pruned
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const IMAGE_TYPES = /^image\/(jpeg|jpg|pjpeg|png|webp|gif|avif)$/i;
+
+const inFlight = new Map(); // id -> Promise of the thumbnail file
+let lastPruneAt = 0;
+
+class ImageProxyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "ImageProxyError";
+    this.status = status;
+  }
+}
+
+// Thumbnail ids can't be signed or checked without a secret: a built-in
+// default would let anyone forge ids and use the proxy to fetch any image
+function getSecret() {
+  const secret = process.env.IMAGE_PROXY_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("IMAGE_PROXY_SECRET or JWT_SECRET environment variable is required");
+  }
+  return secret;
+}
+
+function thumbnailId(imageUrl) {
+  return crypto.createHmac("sha256", getSecret()).update(String(imageUrl)).digest("hex").slice(0, 32);
+}
+
+// Stable thumbnail URL for a story image (absolute when `baseUrl` is given),
+// or null when the article has no usable image
+function thumbnailUrl(imageUrl, baseUrl = "") {
+  const src = String(imageUrl || "").trim();
+  if (!src || !isFetchableUrl(src)) return null;
+  return `${baseUrl}${THUMBNAIL_PATH}/${thumbnailId(src)}.webp?src=${encodeURIComponent(src)}`;
+}
+
+// Download an image (every redirect hop is checked, see safeFetch.js)
+async function fetchLiveImage(imageUrl) {
+  const resp = await fetchPublic(imageUrl, {
+    headers: { Accept: "image/avif,image/webp,image/png,image/jpeg,image/*;q=0.8" },
+    timeoutMs: FETCH_TIMEOUT_MS,
+  });
+  if (!resp.ok) {
+    throw new ImageProxyError(502, `Image fetch failed: ${resp.status}`);
+  }
+  const contentType = (resp.headers.get("content-type") || "").split(";")[0].trim();
+  if (!IMAGE_TYPES.test(contentType)) {
+    throw new ImageProxyError(415, `Unsupported image type: ${contentType || "unknown"}`);
+  }
+  const length = Number(resp.headers.get("content-length") || 0);
+  if (length > MAX_IMAGE_BYTES) {
+    throw new ImageProxyError(413, `Image too large: ${length} bytes`);
+  }
+  return readLimited(resp, MAX_IMAGE_BYTES);
+}
+
+// Delete thumbnails nobody requested for a while (at most once an hour)
+function pruneThumbnails() {
+  if (Date.now() - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = Date.now();
+  fs.promises.readdir(THUMBNAIL_DIR).then(async (files) => {
+    for (const file of files) {
+      const filePath = path.join(THUMBNAIL_DIR, file);
+      const stat = await fs.promises.stat(filePath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > THUMBNAIL_MAX_AGE_MS) {
+        await fs.promises.unlink(filePath).catch(() => {});
+      }
+    }
+  }).catch(() => {});
+}
+
+async function createThumbnail(id, src) {
+  const failed = await cache.get(`thumb-failed:${id}`);
+  if (failed) throw new ImageProxyError(failed.status, failed.message);
+
+  try {
+    const original = await replayable("images", "story image", { url: src }, () => fetchLiveImage(src), { encoding: "binary" });
+    let thumbnail;
+    try {
+      thumbnail = await sharp(original, { limitInputPixels: 40 * 1000 * 1000 })
+        .rotate() // respect EXIF orientation
+        .resize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, { fit: "cover", withoutEnlargement: true })
+        .webp({ quality: 75 })
+        .toBuffer();
+    } catch (error) {
+      throw new ImageProxyError(415, `Unreadable image: ${error.message}`);
+    }
+    await fs.promises.mkdir(THUMBNAIL_DIR, { recursive: true });
+    const filePath = path.join(THUMBNAIL_DIR, `${id}.webp`);
+    await fs.promises.writeFile(filePath, thumbnail);
+    pruneThumbnails();
+    return filePath;
+  } catch (error) {
+    const status = error instanceof ImageProxyError || error instanceof UnsafeFetchError ? error.status : 502;
+    console.log(`Thumbnail failed for ${src}: ${error.message}`);
+    await cache.set(`thumb-failed:${id}`, { status, message: error.message }, FAILURE_CACHE_SECONDS);
+    throw error instanceof ImageProxyError ? error : new ImageProxyError(status, error.message);
+  }
+}
+
+// Path of the thumbnail file for `<id>.webp?src=...`, creating it on first
+// request. Rejects with an ImageProxyError (carrying an HTTP status).
+async function getThumbnail(file, src) {
+  const id = String(file || "").replace(/\.webp$/, "");
+  const source = String(src || "");
+  if (!/^[a-f0-9]{32}$/.test(id) || !isFetchableUrl(source) || thumbnailId(source) !== id) {
+    throw new ImageProxyError(404, "Unknown thumbnail");
+  }
+
+  const filePath = path.join(THUMBNAIL_DIR, `${id}.webp`);
+  if (fs.existsSync(filePath)) return filePath;
+
+  if (!inFlight.has(id)) {
+    inFlight.set(id, createThumbnail(id, source).finally(() => inFlight.delete(id)));
+  }
+  return inFlight.get(id);
+}
+
+module.exports = {
+  ImageProxyError,
+  thumbnailUrl,
+  getThumbnail,
+};
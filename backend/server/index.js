@@ -21,8 +21,35 @@ const summaryHistoryRoutes = require("../routes/summaryHistory");
 const adminRoutes = require("../routes/admin");
 const preferencesRoutes = require("../routes/preferences");
 const newsSourcesRoutes = require("../routes/newsSources");
+const alertsRoutes = require("../routes/alerts");
+const interestsRoutes = require("../routes/interests");
 const fallbackAuth = require("../utils/fallbackAuth");
 const User = require("../models/User");
+const { getProvider, getProviderForTopic, getFallbackProvider, budgetLevel } = require("./providers");
+const { normalizeArticle } = require("./providers/util");
+const { splitSelectedSources, fetchFeedArticles, mergeArticles, startFeedPolling } = require("./userFeeds");
+const { addBodyExcerpts } = require("./extract");
+const { collapseClusters } = require("./clustering");
+const { recordTopicRequest, startIngestionScheduler, getSchedulerStatus } = require("./scheduler");
+const { DEFAULT_LANGUAGE, getLanguage, resolveLanguage, userLanguage } = require("./languages");
+const { compileTopicQuery, toProviderSearch, queryKeywords, topicLabel, matchTopicQuery, passesTopicFilters } = require("./topicQuery");
+const { userMuteList, isMuted } = require("./mutes");
+const { recordArticles } = require("./articleStore");
+const { LITTLE_NEW_THRESHOLD, getLastBriefing, sinceWindowStart, isNewSince, describeTimeSince } = require("./briefingWindow");
+const { resolveGeo, providerCountryCode, formatLocation } = require("./geo");
+const { fetchArticlesWithVariety } = require("./sourceVariety");
+const { replayable, isReplaying, isRecording } = require("./replay");
+const { CircuitOpenError, callUpstream, isProviderAvailable, assertProviderAvailable, getBreakerStates } = require("./resilience");
+const { observeHeadlines, startBreakingNews, getBreakingNewsStatus } = require("./breakingNews");
+const { mergeEntities } = require("./entities");
+const { ImageProxyError, thumbnailUrl, getThumbnail } = require("./images");
+const { articleSentiment, isUplifting, resolveUpliftingThreshold } = require("./sentiment");
+const { rankArticles, aboveRelevanceFloor } = require("./ranking");
+const { personalizeArticles } = require("./interests");
+const { resolveContentFilters, assessArticle, screenArticles, softenGuidance, contentAdvisory } = require("./sensitivity");
+const { wantsExplain, tagProvenance, createSummaryTrace, explainItem } = require("./explain");
+const { planOf, resolveSummarizer, getSummarizerStatus } = require("./summarizers");
+const { parseCitations, alignSegments, stripCitations } = require("./citations");
 
 // Connect to MongoDB
 connectDB();
@@ -106,6 +133,12 @@ app.use("/api/preferences", preferencesRoutes);
 // News sources routes
 app.use("/api/news-sources", newsSourcesRoutes);
 
+// Breaking news alert routes
+app.use("/api/alerts", alertsRoutes);
+
+// Interest profile and listening feedback routes
+app.use("/api/interests", interestsRoutes);
+
 // Serve admin website
 app.use("/admin", express.static(path.join(__dirname, "../../admin")));
 
@@ -124,7 +157,6 @@ const JWT_SECRET = process.env.JWT_SECRET;
 if (!JWT_SECRET) {
   throw new Error('JWT_SECRET environment variable is required');
 }
-const NEWSAPI_KEY = process.env.NEWSAPI_KEY || "";
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
 
 // --- In-memory data store fallback (replace with SQLite later) ---
@@ -193,6 +225,22 @@ if (!fs.existsSync(MEDIA_DIR)) {
 }
 app.use("/media", express.static(MEDIA_DIR, { fallthrough: true }));
 
+// Story thumbnails not cached yet fall through to here: fetch, resize and
+// store the image, then serve it (see images.js)
+app.get("/media/thumbs/:file", async (req, res) => {
+  try {
+    const filePath = await getThumbnail(req.params.file, req.query.src);
+    res.set("Cache-Control", "public, max-age=604800");
+    res.type("image/webp").sendFile(filePath);
+  } catch (error) {
+    if (error instanceof ImageProxyError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Thumbnail error:", error);
+    res.status(500).json({ error: "Thumbnail failed" });
+  }
+});
+
 // --- News helpers ---
 const CORE_CATEGORIES = new Set([
   "business",
@@ -205,173 +253,180 @@ const CORE_CATEGORIES = new Set([
   "world", // not a NewsAPI category; fallback to q=world
 ]);
 
-async function fetchArticlesEverything(qParts, maxResults, selectedSources = []) {
-  const q = encodeURIComponent(qParts.filter(Boolean).join(" "));
-  const pageSize = Math.min(Math.max(Number(maxResults) || 5, 1), 50);
-  // Extend to 24 hours for more variety
-  const from = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
-  const url = `https://newsapi.org/v2/everything?q=${q}&language=en&sortBy=publishedAt&pageSize=${pageSize}&from=${from}`;
-  const resp = await fetch(url, { headers: { Authorization: `Bearer ${NEWSAPI_KEY}` } });
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => "");
-    throw new Error(`NewsAPI error: ${resp.status} ${text}`);
-  }
-  const data = await resp.json();
-  console.log(`NewsAPI returned ${data.articles?.length || 0} articles`);
-  if (selectedSources && selectedSources.length > 0 && data.articles?.length > 0) {
-    const sources = [...new Set(data.articles.map(a => a.source?.id).filter(Boolean))];
+// `options` carries a custom topic's source/domain qualifiers ({ sources, domains, excludeDomains })
+// and, for "since my last briefing" requests, the start of the search window (`since`)
+async function fetchArticlesEverything(provider, qParts, maxResults, selectedSources = [], language = DEFAULT_LANGUAGE, options = {}) {
+  const query = qParts.filter(Boolean).join(" ");
+  const { sources, domains, excludeDomains, since } = options;
+  // Extend to 24 hours for more variety, unless only news since the last briefing is wanted
+  const from = since || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const articles = tagProvenance(
+    await provider.search({ query, sources, domains, excludeDomains, from, language, pageSize: maxResults }),
+    { provider: provider.name, call: "search", query, sources, domains, excludeDomains }
+  );
+  console.log(`${provider.name} returned ${articles.length} articles`);
+  if (selectedSources && selectedSources.length > 0 && articles.length > 0) {
+    const sources = [...new Set(articles.map(a => a.source?.id).filter(Boolean))];
     console.log(`Articles came from sources: ${sources.join(", ")}`);
   }
-  return Array.isArray(data.articles) ? data.articles : [];
-}
-
-// Function to ensure variety by getting articles from multiple sources with progressive time expansion
-async function fetchArticlesWithVariety(selectedSources, maxResults = 10) {
-  if (!selectedSources || selectedSources.length === 0) {
-    return [];
-  }
-  
-  console.log(`Ensuring variety from ${selectedSources.length} sources with progressive time expansion`);
-  const targetVariety = Math.min(5, selectedSources.length); // Aim for 5 different sources
-  
-  // Progressive time windows: 1h, 2h, 4h, 8h, 16h, 24h
-  const timeWindows = [1, 2, 4, 8, 16, 24]; // hours
-  
-  for (const hours of timeWindows) {
-    console.log(`Trying ${hours} hour(s) time window...`);
-    const articles = [];
-    const usedSources = new Set();
-    const from = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString().slice(0, 10);
-    
-    // Try to get at least one article from each source within this time window
-    for (const source of selectedSources) {
-      if (usedSources.size >= targetVariety) break;
-      
-      try {
-        // Use everything endpoint with time filter for more control
-        const url = `https://newsapi.org/v2/everything?sources=${source}&from=${from}&sortBy=publishedAt&pageSize=1&language=en`;
-        const resp = await fetch(url, { headers: { Authorization: `Bearer ${NEWSAPI_KEY}` } });
-        
-        if (resp.ok) {
-          const data = await resp.json();
-          if (data.articles && data.articles.length > 0) {
-            articles.push(data.articles[0]);
-            usedSources.add(source);
-            console.log(`Got article from ${source} (${hours}h window)`);
-          }
-        }
-      } catch (error) {
-        console.log(`Failed to get article from ${source} (${hours}h window): ${error.message}`);
-      }
-    }
-    
-    // If we got enough variety, return the articles
-    if (usedSources.size >= targetVariety) {
-      console.log(`Variety achieved: ${usedSources.size} different sources in ${hours} hour(s)`);
-      return articles;
-    }
-    
-    // If we got some articles but not enough variety, continue to next time window
-    if (articles.length > 0) {
-      console.log(`Got ${usedSources.size} sources in ${hours}h, expanding to next time window...`);
-    }
-  }
-  
-  // If we still don't have enough variety after all time windows, return what we have
-  console.log(`Final attempt: trying top-headlines without time filter for maximum coverage`);
-  const articles = [];
-  const usedSources = new Set();
-  
-  for (const source of selectedSources) {
-    if (usedSources.size >= targetVariety) break;
-    
-    try {
-      const url = `https://newsapi.org/v2/top-headlines?sources=${source}&pageSize=1`;
-      const resp = await fetch(url, { headers: { Authorization: `Bearer ${NEWSAPI_KEY}` } });
-      
-      if (resp.ok) {
-        const data = await resp.json();
-        if (data.articles && data.articles.length > 0) {
-          articles.push(data.articles[0]);
-          usedSources.add(source);
-          console.log(`Got article from ${source} (no time filter)`);
-        }
-      }
-    } catch (error) {
-      console.log(`Failed to get article from ${source} (no time filter): ${error.message}`);
-    }
-  }
-  
-  console.log(`Final variety achieved: ${usedSources.size} different sources`);
   return articles;
 }
 
-async function fetchTopHeadlinesByCategory(category, countryCode, maxResults, extraQuery, selectedSources = []) {
-  const pageSize = Math.min(Math.max(Number(maxResults) || 5, 1), 50);
-  const params = new URLSearchParams();
-  
-  // NewsAPI doesn't allow mixing sources with category/country parameters
+async function fetchTopHeadlinesByCategory(provider, category, countryCode, maxResults, extraQuery, selectedSources = [], language = DEFAULT_LANGUAGE) {
   if (selectedSources && selectedSources.length > 0) {
     console.log(`Filtering by sources: ${selectedSources.join(",")}`);
-    params.set("sources", selectedSources.join(","));
-    // When using sources, we can't use category or country
   } else {
     console.log(`No source filtering applied (using all sources)`);
-    // When not using sources, we can use category and country
-    if (category) params.set("category", category);
-    if (countryCode) params.set("country", String(countryCode).toLowerCase());
   }
   
-  if (extraQuery) params.set("q", extraQuery);
-  params.set("pageSize", String(pageSize));
-  const url = `https://newsapi.org/v2/top-headlines?${params.toString()}`;
-  console.log(`Final NewsAPI URL: ${url}`);
-  const resp = await fetch(url, { headers: { Authorization: `Bearer ${NEWSAPI_KEY}` } });
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => "");
-    throw new Error(`NewsAPI error: ${resp.status} ${text}`);
-  }
-  const data = await resp.json();
-  console.log(`NewsAPI returned ${data.articles?.length || 0} articles`);
-  if (selectedSources && selectedSources.length > 0 && data.articles?.length > 0) {
-    const sources = [...new Set(data.articles.map(a => a.source?.id).filter(Boolean))];
+  const params = {
+    category,
+    // Top headlines only filter by country, so default to the language's main market
+    country: countryCode || getLanguage(language).country,
+    query: extraQuery,
+    sources: selectedSources || [],
+    pageSize: maxResults,
+  };
+  const articles = tagProvenance(await provider.topHeadlines(params), {
+    provider: provider.name,
+    call: "top headlines",
+    query: params.query,
+    category,
+    country: params.country,
+    sources: params.sources,
+  });
+  console.log(`${provider.name} returned ${articles.length} articles`);
+  if (selectedSources && selectedSources.length > 0 && articles.length > 0) {
+    const sources = [...new Set(articles.map(a => a.source?.id).filter(Boolean))];
     console.log(`Articles came from sources: ${sources.join(", ")}`);
   }
-  return Array.isArray(data.articles) ? data.articles : [];
+  return articles;
 }
 
-async function fetchArticlesForTopic(topic, geo, maxResults, selectedSources = []) {
-  const queryParts = [topic];
-  const countryCode = geo?.country || geo?.countryCode || "";
-  const region = geo?.region || geo?.state || "";
-  const city = geo?.city || "";
-  if (region) queryParts.push(region);
-  if (city) queryParts.push(city);
+async function fetchArticlesForTopic(topic, geo, maxResults, selectedSources = [], { refresh = false, language = DEFAULT_LANGUAGE, since = null } = {}) {
   const pageSize = Math.min(Math.max(Number(maxResults) || 5, 1), 50);
+  const provider = getProviderForTopic(topic);
 
-  if (!NEWSAPI_KEY) {
-    return { articles: [], note: "Missing NEWSAPI_KEY" };
+  if (!provider.isConfigured()) {
+    return { articles: [], note: `News provider "${provider.name}" is not configured` };
   }
 
-  // Check cache first
-  const cacheKey = cache.getNewsKey(topic, geo, pageSize);
-  const cached = await cache.get(cacheKey);
+  // "Since last briefing" requests search from the (hour-floored) time of that briefing
+  const from = since ? sinceWindowStart(since) : null;
+
+  // Check cache first (unless refreshing it, e.g. from the ingestion scheduler,
+  // or recording provider fixtures, where every call has to go out)
+  const cacheKey = cache.getNewsKey(topic, geo, pageSize, provider.name, language, from);
+  const cached = refresh || isRecording() ? null : await cache.get(cacheKey);
   if (cached) {
     console.log(`Cache hit for ${topic}`);
     return cached;
   }
 
+  // Last good result, kept for a day so an outage or exhausted budget still yields a briefing
+  const staleKey = `stale:${cacheKey}`;
+
+  let articles;
+  try {
+    // A provider that is down fails fast here instead of in each of its parallel calls
+    assertProviderAvailable(provider.name);
+    articles = await fetchProviderArticles(provider, topic, geo, pageSize, selectedSources, language, from);
+  } catch (error) {
+    const fallback = getFallbackProvider(provider);
+    try {
+      if (!fallback) throw error;
+      console.warn(`${provider.name} failed for ${topic} (${error.message}), retrying with ${fallback.name}`);
+      articles = await fetchProviderArticles(fallback, topic, geo, pageSize, selectedSources, language, from);
+    } catch (fallbackError) {
+      const stale = await cache.get(staleKey);
+      if (stale) {
+        console.warn(`Serving cached ${topic} articles: ${fallbackError.message}`);
+        return stale;
+      }
+      throw fallbackError;
+    }
+  }
+
+  const normalized = articles.map(normalizeArticle);
+
+  const result = { articles: normalized };
+  
+  // Cache the result for 15 minutes, or an hour once the provider's budget runs low
+  await cache.set(cacheKey, result, (await budgetLevel(provider)) === "normal" ? 900 : 3600);
+  if (normalized.length > 0) {
+    await cache.set(staleKey, result, 24 * 60 * 60);
+  }
+  
+  return result;
+}
+
+// Provider articles for a topic mixed with articles from the user's selected feeds,
+// collapsed so each story appears once with its other outlets in `cluster`
+async function fetchTopicArticles(topic, geo, maxResults, selectedSources = [], selectedFeeds = [], options = {}) {
+  const topicLower = String(topic || "").toLowerCase();
+  // Feeds aren't categorized, so core categories and local take every recent item;
+  // custom topics match on their keywords and relevance filtering applies the rest
+  const feedQuery = CORE_CATEGORIES.has(topicLower) || topicLower === "local" ? "" : queryKeywords(compileTopicQuery(topic)).join(" ");
+  const [providerResult, feedArticles] = await Promise.all([
+    fetchArticlesForTopic(topic, geo, maxResults, selectedSources, options),
+    fetchFeedArticles(selectedFeeds, { query: feedQuery, maxResults }),
+  ]);
+  let articles = providerResult.articles;
+  if (feedArticles.length > 0) {
+    console.log(`Mixing ${feedArticles.length} feed articles into ${topic}`);
+    articles = mergeArticles(articles, feedArticles);
+  }
+  // Persist what we fetched; articles come back tagged with their stored `articleId`
+  articles = await recordArticles(articles, topic);
+  // "Since last briefing": only stories published after it that the user hasn't heard
+  if (options.since) {
+    const heard = options.heardArticleIds || new Set();
+    articles = articles.filter((a) => isNewSince(a, options.since) && !heard.has(a.articleId));
+  }
+  const stories = collapseClusters(articles);
+  if (stories.length < articles.length) {
+    console.log(`Clustered ${articles.length} ${topic} articles into ${stories.length} stories`);
+  }
+  return { ...providerResult, articles: stories };
+}
+
+// Raw (provider-shaped) articles for a topic, picking the query strategy by topic type
+async function fetchProviderArticles(provider, topic, geo, pageSize, selectedSources = [], language = DEFAULT_LANGUAGE, since = null) {
+  const countryCode = providerCountryCode(geo, provider);
+  const countryName = geo?.countryName || "";
+  const region = geo?.region || geo?.state || "";
+  const city = geo?.city || "";
+
+  const level = await budgetLevel(provider);
+  if (level === "exhausted") {
+    throw provider.budget.exhaustedError();
+  }
+
   let articles = [];
   const normalizedTopic = String(topic || "").toLowerCase();
   const useCategory = CORE_CATEGORIES.has(normalizedTopic) && normalizedTopic !== "world";
   const isLocal = normalizedTopic === "local";
   const isGeneral = normalizedTopic === "general";
 
-  if (isGeneral) {
+  if (level === "critical") {
+    // Nearly out of budget: a single top-headlines call per topic
+    console.log(`${provider.name} budget critical - top headlines only for ${topic}`);
+    if (isGeneral || useCategory) {
+      articles = await fetchTopHeadlinesByCategory(provider, normalizedTopic, countryCode, pageSize, undefined, selectedSources, language);
+    } else if (isLocal) {
+      articles = await fetchTopHeadlinesByCategory(provider, "general", countryCode, pageSize, city || region || undefined, selectedSources, language);
+    } else {
+      // Top headlines only take plain keywords, not the search syntax (phrases, OR, -exclude)
+      const topicQuery = compileTopicQuery(topic);
+      const search = toProviderSearch(topicQuery, provider);
+      const keywords = queryKeywords(topicQuery).join(" ");
+      articles = await fetchTopHeadlinesByCategory(provider, undefined, "", pageSize, [keywords, region, city].filter(Boolean).join(" "), search.sources, language);
+    }
+  } else if (isGeneral) {
     // If we have selected sources, prioritize variety over categories
     if (selectedSources && selectedSources.length > 0) {
       console.log(`General topic with selected sources - ensuring variety`);
-      const varietyArticles = await fetchArticlesWithVariety(selectedSources, 7);
+      const varietyArticles = await fetchArticlesWithVariety(provider, selectedSources, 7, language);
       if (varietyArticles.length > 0) {
         articles = varietyArticles;
         console.log(`General topic: fetched ${articles.length} articles with variety from ${selectedSources.length} sources`);
@@ -386,11 +441,11 @@ async function fetchArticlesForTopic(topic, geo, maxResults, selectedSources = [
         try {
           if (category === "world") {
             // World is not a NewsAPI category, use everything search
-            const worldArticles = await fetchArticlesEverything(["world"], 1, selectedSources);
+            const worldArticles = await fetchArticlesEverything(provider, ["world"], 1, selectedSources, language, { since });
             return worldArticles.slice(0, 1);
           } else {
             // Use category-based search for other topics
-            const categoryArticles = await fetchTopHeadlinesByCategory(category, countryCode, 1, undefined, selectedSources);
+            const categoryArticles = await fetchTopHeadlinesByCategory(provider, category, countryCode, 1, undefined, selectedSources, language);
             return categoryArticles.slice(0, 1);
           }
         } catch (error) {
@@ -411,7 +466,7 @@ async function fetchArticlesForTopic(topic, geo, maxResults, selectedSources = [
     } catch (error) {
       console.error('Error in parallel general topic fetch:', error);
       // Fallback to regular general category
-      articles = await fetchTopHeadlinesByCategory("general", countryCode, pageSize, undefined, selectedSources);
+      articles = await fetchTopHeadlinesByCategory(provider, "general", countryCode, pageSize, undefined, selectedSources, language);
     }
     } // End of fallback approach
   } else if (isLocal) {
@@ -420,29 +475,38 @@ async function fetchArticlesForTopic(topic, geo, maxResults, selectedSources = [
     
     if (city) {
       promises.push(
-        fetchTopHeadlinesByCategory("general", countryCode, Math.ceil(pageSize/3), `"${city}"`, selectedSources),
-        fetchArticlesEverything([`title:${city}`], Math.ceil(pageSize/3)),
-        fetchArticlesEverything([city], Math.ceil(pageSize/3))
+        fetchTopHeadlinesByCategory(provider, "general", countryCode, Math.ceil(pageSize/3), `"${city}"`, selectedSources, language),
+        fetchArticlesEverything(provider, [city], Math.ceil(pageSize/3), [], language, { since })
       );
+      // The title-only search is a nice-to-have, skip it once the budget runs low
+      if (level === "normal") {
+        promises.push(fetchArticlesEverything(provider, [`title:${city}`], Math.ceil(pageSize/3), [], language, { since }));
+      }
     }
     
     if (region) {
       promises.push(
-        fetchTopHeadlinesByCategory("general", countryCode, Math.ceil(pageSize/3), `"${region}"`, selectedSources),
-        fetchArticlesEverything([`title:${region}`], Math.ceil(pageSize/3)),
-        fetchArticlesEverything([region], Math.ceil(pageSize/3))
+        fetchTopHeadlinesByCategory(provider, "general", countryCode, Math.ceil(pageSize/3), `"${region}"`, selectedSources, language),
+        fetchArticlesEverything(provider, [region], Math.ceil(pageSize/3), [], language, { since })
       );
+      // The title-only search is a nice-to-have, skip it once the budget runs low
+      if (level === "normal") {
+        promises.push(fetchArticlesEverything(provider, [`title:${region}`], Math.ceil(pageSize/3), [], language, { since }));
+      }
     }
     
     if (countryCode) {
       promises.push(
-        fetchTopHeadlinesByCategory("general", countryCode, Math.ceil(pageSize/2), undefined, selectedSources)
+        fetchTopHeadlinesByCategory(provider, "general", countryCode, Math.ceil(pageSize/2), undefined, selectedSources, language)
       );
+    } else if (countryName) {
+      // The provider can't filter headlines on this country, search for it instead
+      promises.push(fetchArticlesEverything(provider, [countryName], Math.ceil(pageSize/2), [], language, { since }));
     }
     
     // Fallback to general news
     promises.push(
-      fetchTopHeadlinesByCategory("general", "", Math.ceil(pageSize/2), undefined, selectedSources)
+      fetchTopHeadlinesByCategory(provider, "general", "", Math.ceil(pageSize/2), undefined, selectedSources, language)
     );
     
     try {
@@ -454,15 +518,17 @@ async function fetchArticlesForTopic(topic, geo, maxResults, selectedSources = [
     } catch (error) {
       console.error('Error in parallel local news fetch:', error);
       // Fallback to single call
-      articles = await fetchTopHeadlinesByCategory("general", countryCode || "", pageSize, undefined, selectedSources);
+      articles = await fetchTopHeadlinesByCategory(provider, "general", countryCode || "", pageSize, undefined, selectedSources, language);
     }
   } else if (useCategory) {
     const category = normalizedTopic;
+    // Include a light keyword from region/city if present to bias towards local context
+    const bias = city || region || "";
     
     // If we have selected sources, try variety approach first
     if (selectedSources && selectedSources.length > 0) {
       console.log(`${category} topic with selected sources - ensuring variety`);
-      const varietyArticles = await fetchArticlesWithVariety(selectedSources, pageSize);
+      const varietyArticles = await fetchArticlesWithVariety(provider, selectedSources, pageSize, language);
       if (varietyArticles.length > 0) {
         articles = varietyArticles;
         console.log(`${category} topic: fetched ${articles.length} articles with variety from ${selectedSources.length} sources`);
@@ -472,267 +538,243 @@ async function fetchArticlesForTopic(topic, geo, maxResults, selectedSources = [
     // Fallback to category-based approach if variety didn't work or no sources selected
     if (articles.length === 0) {
       console.log(`${category} topic: using category-based approach`);
-      // Include a light keyword from region/city if present to bias towards local context
-      const bias = city || region || "";
-      articles = await fetchTopHeadlinesByCategory(category, countryCode, pageSize, bias || undefined, selectedSources);
+      articles = await fetchTopHeadlinesByCategory(provider, category, countryCode, pageSize, bias || undefined, selectedSources, language);
     }
     
     if ((articles?.length || 0) < Math.min(5, pageSize) && (city || region)) {
-      const extra = await fetchArticlesEverything([normalizedTopic, bias], pageSize - (articles?.length || 0), selectedSources);
+      const extra = await fetchArticlesEverything(provider, [normalizedTopic, bias], pageSize - (articles?.length || 0), selectedSources, language, { since });
       articles = [...articles, ...extra];
     }
   } else {
-    articles = await fetchArticlesEverything(queryParts, pageSize, selectedSources);
+    // Custom topic: translate its query syntax for this provider
+    const search = toProviderSearch(compileTopicQuery(topic), provider);
+    articles = await fetchArticlesEverything(provider, [search.query, region, city], pageSize, selectedSources, language, { ...search, since });
   }
 
-  const normalized = articles.map((a) => ({
-    title: a.title || "",
-    description: a.description || "",
-    url: a.url || "",
-    source: (a.source && a.source.name) || "",
-    publishedAt: a.publishedAt || "",
-    urlToImage: a.urlToImage || "",
-  }));
+  return articles;
+}
 
-  const result = { articles: normalized };
-  
-  // Cache the result for 15 minutes
-  await cache.set(cacheKey, result, 900);
-  
-  return result;
+// How many articles to fetch per topic for a briefing of `wordCount` words
+function articlesPerTopic(wordCount) {
+  return wordCount >= 1500 ? 20 : wordCount >= 800 ? 12 : 6;
 }
 
-async function summarizeArticles(topic, geo, articles, wordCount, goodNewsOnly = false) {
-  const baseParts = [String(topic || "").trim()];
+// Refresh the caches a default (no location, no source selection) briefing for
+// `topic` reads from: the topic's articles and, optionally, its summary
+const INGESTION_WORD_COUNT = Number(process.env.INGESTION_WORD_COUNT) || 200;
+async function warmTopic(topic) {
+  // Pre-warming is optional traffic; leave the remaining budget to real requests
+  const level = await budgetLevel(getProviderForTopic(topic));
+  if (level !== "normal") {
+    console.log(`Skipping ingestion for ${topic} (news budget ${level})`);
+    return;
+  }
+  const perTopic = articlesPerTopic(INGESTION_WORD_COUNT);
+  const { articles } = await fetchTopicArticles(topic, null, perTopic, [], [], { refresh: true });
+  await observeHeadlines(topic, articles);
+  if (process.env.INGESTION_SUMMARIES === "on" && articles.length > 0) {
+    // Screened with the default content filters, like an anonymous briefing
+    const { kept } = screenArticles(filterRelevantArticles(topic, null, articles, perTopic), resolveContentFilters());
+    await summarizeArticles(topic, null, kept, INGESTION_WORD_COUNT, false);
+  }
+}
+
+// `since` is the time of the listener's last briefing when only newer stories are covered.
+// `plan` picks the summary provider and model (see summarizers/index.js); `trace`
+// (see explain.js) is filled in with which of the articles the summary covers, what
+// wrote it and the summary's sentences with the articles they cite (`segments`,
+// see citations.js).
+async function summarizeArticles(topic, geo, articles, wordCount, goodNewsOnly = false, language = DEFAULT_LANGUAGE, since = null, { plan = "free", trace = null } = {}) {
+  const topicName = topicLabel(topic);
+  const baseParts = [topicName];
   if (geo?.region) baseParts.push(geo.region);
-  if (geo?.country || geo?.countryCode) baseParts.push(geo.country || geo.countryCode);
+  if (geo?.countryName || geo?.country || geo?.countryCode) baseParts.push(geo.countryName || geo.country || geo.countryCode);
   const base = baseParts.filter(Boolean).join(" ");
+  const { summarizer, model } = resolveSummarizer(plan);
+  // Record how the summary came about and return its text
+  const finish = (mode, count, { text, segments }) => {
+    if (trace) {
+      const written = mode === "generated" || mode === "cache";
+      Object.assign(trace, {
+        mode,
+        used: Math.min(count, articles?.length || 0),
+        provider: written ? summarizer.name : null,
+        model: written ? model : null,
+        segments,
+      });
+    }
+    return text;
+  };
+  // Fallback summary reading out the first titles, each citing its article
+  const titleSummary = (opening) => parseCitations(
+    `${opening} ${articles.slice(0, 3).map((a, i) => a.title ? `${a.title} [${i + 1}]` : "").filter(Boolean).join('. ')}.`,
+    articles
+  );
 
   if (!articles || articles.length === 0) {
-    return `No recent coverage found for ${base}.`;
+    const text = since ? `Nothing new on ${base} since your last briefing.` : `No recent coverage found for ${base}.`;
+    return finish("none", 0, parseCitations(text));
+  }
+  const littleNew = since && articles.length < LITTLE_NEW_THRESHOLD;
+
+  console.log(`Summarizing ${articles.length} articles for topic: ${topic} using ${summarizer.name} (${model})`);
+
+  if (!summarizer.isConfigured()) {
+    console.warn(`Summary provider "${summarizer.name}" not configured, using simple fallback`);
+    const upliftingPrefix = goodNewsOnly ? "uplifting " : "";
+    const littleNewNote = littleNew ? " There's not much new since your last briefing." : "";
+    return finish("titles", 3, titleSummary(`Here's your ${upliftingPrefix}${topicName} news.${littleNewNote}`));
   }
 
-  console.log(`Summarizing ${articles.length} articles for topic: ${topic} using ChatGPT`);
+  // Summaries are cached per article set so pre-warmed briefings are served instantly
+  const summaryCacheKey = cache.getArticleSummaryKey(topic, geo, articles.slice(0, 4), wordCount, goodNewsOnly, language, since ? describeTimeSince(since) : "", `${summarizer.name}/${model}`);
+  const cachedSummary = isRecording() ? null : await cache.get(summaryCacheKey);
+  if (cachedSummary) {
+    console.log(`Summary cache hit for ${topic}`);
+    return finish("cache", 4, { text: cachedSummary.summary, segments: cachedSummary.segments });
+  }
 
-  // Check if OpenAI API key is available
-  if (!OPENAI_API_KEY) {
-    console.warn("OpenAI API key not configured, using simple fallback");
+  // While the provider's circuit breaker is open, skip page extraction and answer with the titles
+  if (!isProviderAvailable(summarizer.service)) {
+    console.warn(`${summarizer.name} summaries unavailable (circuit open), using simple summary for ${topic}`);
     const upliftingPrefix = goodNewsOnly ? "uplifting " : "";
-    return `Here's your ${upliftingPrefix}${topic} news. ${articles.slice(0, 3).map(a => a.title).join('. ')}.`;
+    return finish("titles", 3, titleSummary(`Here's your ${upliftingPrefix}${topicName} news.`));
   }
 
   try {
-    const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-    
-    // Optimized article preparation for ChatGPT (limit to 4 articles for faster processing)
-    const articleTexts = articles.slice(0, 4).map((article, index) => {
+    // Optimized article preparation for the summarizer (limit to 4 articles for faster processing)
+    // Each article carries a bounded excerpt of its extracted body text (or its description)
+    const promptArticles = await addBodyExcerpts(articles.slice(0, 4));
+    const articleTexts = promptArticles.map((article, index) => {
       // Optimized text cleaning - combine operations for better performance
       const title = (article.title || "")
         .replace(/[\s\-–—]+$/g, "") // Remove trailing dashes/spaces
         .replace(/\s+/g, " ") // Normalize whitespace
         .trim();
       
-      // Optimized description processing
-      const description = (article.description || "")
-        .replace(/\s+/g, " ") // Normalize whitespace first
-        .trim()
-        .slice(0, 150); // Reduced from 200 to 150 for faster processing
-      
       const source = article.source || "Unknown";
-      return `${index + 1}. **${title}** (${source})\n${description}`;
+      // Mention other outlets covering the same story so the summary can say so
+      const others = (article.cluster?.sources || []).filter(name => name !== article.source);
+      const coverage = others.length > 0 ? `; also reported by ${others.join(", ")}` : "";
+      // Stories the listener asked to soften carry a note for the summarizer
+      const guidance = softenGuidance(article.sensitivity);
+      return `${index + 1}. **${title}** (${source}${coverage})${guidance ? `\n[${guidance}]` : ""}\n${article.bodyExcerpt}`;
     }).join("\n\n");
+    console.log(`Article extraction: ${promptArticles.map(a => a.extraction).join(", ")}`);
 
     // Optimized podcaster-style prompt for faster processing
     const upliftingPrefix = goodNewsOnly ? "uplifting " : "";
-    const prompt = `Create a ${upliftingPrefix}${topic} news summary in podcast style.
+    const { name: languageName } = getLanguage(language);
+    // Non-English briefings are written natively, even when the articles are in English
+    const languageRequirements = language === DEFAULT_LANGUAGE
+      ? `- Start with "Here's your ${upliftingPrefix}${topicName} news."`
+      : `- Write the entire summary in ${languageName}, translating any English source material
+- Start with the ${languageName} equivalent of "Here's your ${upliftingPrefix}${topicName} news."`;
+    // In "since last briefing" mode the listener already heard everything older
+    const sinceRequirements = !since ? "" : `
+- Only cover what's new since the listener's last briefing ${describeTimeSince(since)}${littleNew ? `
+- There are only ${articles.length} new ${articles.length === 1 ? "story" : "stories"} since then: say plainly in the opening that there's little new, and keep it short rather than padding` : ""}`;
+    const softenRequirements = promptArticles.some(a => softenGuidance(a.sensitivity)) ? `
+- Follow the notes in square brackets for sensitive stories, and keep a calm tone around them` : "";
+    const prompt = `Create a ${upliftingPrefix}${topicName} news summary in podcast style.
 
 Articles:
 ${articleTexts}
 
 Requirements:
-- Start with "Here's your ${upliftingPrefix}${topic} news."
+${languageRequirements}${sinceRequirements}${softenRequirements}
 - Cover key stories in conversational tone
 - Connect related stories naturally
 - Focus on most significant developments
+- Use concrete details from the article text, but don't invent facts beyond it
 - Target ${wordCount} words exactly
-- End at a complete sentence, even if it means going slightly over the word count`;
-
-    console.log(`Sending ${articles.length} articles to ChatGPT for summarization`);
-
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You are a professional news podcaster. Create engaging, conversational summaries with a warm, informative tone."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: Math.min(wordCount * 2, 2000), // Increased to allow for proper word count targets
+- End at a complete sentence, even if it means going slightly over the word count
+- After each sentence, cite the numbered articles it draws on in square brackets, like [1] or [2][3] (the opening and sign-off need none); the numbers are removed before the summary is read out`;
+
+    console.log(`Sending ${articles.length} articles to ${summarizer.name} for summarization`);
+
+    const generated = await summarizer.summarize({
+      model,
+      system: "You are a professional news podcaster. Create engaging, conversational summaries with a warm, informative tone.",
+      prompt,
+      maxTokens: Math.min(wordCount * 2, 2000), // Increased to allow for proper word count targets
       temperature: 0.6, // Reduced for more consistent, faster responses
+      intro: `Here's your ${upliftingPrefix}${topicName} news.`,
+      articles: promptArticles.map(a => ({ title: a.title, source: a.source, text: a.bodyExcerpt })),
+      wordCount,
     });
-
-    let summary = completion.choices[0]?.message?.content?.trim();
     
-    if (!summary) {
-      throw new Error("No summary generated by ChatGPT");
+    // Citation markers come out of the spoken text and into the segments
+    const cited = parseCitations(generated, promptArticles);
+    if (!cited.text) {
+      throw new Error(`No summary generated by ${summarizer.name}`);
     }
 
     // Ensure summary ends at a complete sentence
-    summary = ensureCompleteSentence(summary);
+    const summary = ensureCompleteSentence(cited.text);
+    const segments = alignSegments(cited.segments, summary);
 
-    console.log(`ChatGPT generated summary: ${summary.length} characters`);
-    return summary;
+    console.log(`${summarizer.name} generated summary: ${summary.length} characters, ${segments.filter(s => s.urls.length > 0).length}/${segments.length} sentences cited`);
+    await cache.set(summaryCacheKey, { summary, segments }, 900);
+    return finish("generated", 4, { text: summary, segments });
 
   } catch (error) {
-    console.error("ChatGPT summarization failed:", error);
+    console.error(`${summarizer.name} summarization failed:`, error);
     console.log("Falling back to simple summary");
     // Simple fallback: just use article titles
-    const titles = articles.slice(0, 3).map(a => a.title || "").filter(Boolean);
     const upliftingPrefix = goodNewsOnly ? "uplifting " : "";
-    return `Here's your ${upliftingPrefix}${topic} news. ${titles.join('. ')}.`;
+    return finish("titles", 3, titleSummary(`Here's your ${upliftingPrefix}${topicName} news.`));
   }
 }
 
 
-// Uplifting news filter: identify positive, inspiring articles
-function isUpliftingNews(article) {
-  const title = (article.title || "").toLowerCase();
-  const description = (article.description || "").toLowerCase();
-  const text = `${title} ${description}`;
-  
-  // Uplifting keywords - more focused on inspiring, positive content
-  const upliftingKeywords = [
-    "breakthrough", "achievement", "success", "victory", "triumph", "milestone",
-    "innovation", "discovery", "progress", "advancement", "improvement", "growth",
-    "celebration", "record", "award", "recognition", "honor", "accomplishment",
-    "recovery", "healing", "cure", "treatment", "solution", "rescue", "save",
-    "donation", "charity", "volunteer", "help", "support", "community", "kindness",
-    "environmental", "sustainability", "green", "renewable", "clean energy", "conservation",
-    "education", "learning", "scholarship", "graduation", "inspiration", "motivation",
-    "art", "culture", "festival", "celebration", "music", "creativity", "beauty",
-    "sports", "championship", "medal", "gold", "silver", "bronze", "teamwork",
-    "technology", "invention", "startup", "funding", "investment", "entrepreneur",
-    "hope", "optimism", "resilience", "courage", "determination", "perseverance"
-  ];
-  
-  // Negative keywords to avoid
-  const negativeKeywords = [
-    "death", "died", "killed", "murder", "crime", "violence", "attack",
-    "war", "conflict", "battle", "fighting", "bomb", "explosion",
-    "disaster", "accident", "crash", "fire", "flood", "earthquake",
-    "crisis", "emergency", "danger", "threat", "risk", "problem",
-    "scandal", "corruption", "fraud", "theft", "robbery", "arrest",
-    "disease", "pandemic", "outbreak", "infection", "virus", "illness",
-    "recession", "unemployment", "layoff", "bankruptcy", "debt", "loss"
-  ];
-  
-  // Check for negative keywords first
-  const hasNegative = negativeKeywords.some(keyword => text.includes(keyword));
-  if (hasNegative) return false;
-  
-  // Check for uplifting keywords
-  const hasUplifting = upliftingKeywords.some(keyword => text.includes(keyword));
-  return hasUplifting;
-}
-
-// Relevance filter: keep articles that explicitly mention the topic or local geo
-function filterRelevantArticles(topic, geo, articles, minCount = 6) {
+// Relevance filter: rank the topic's articles (BM25, see ranking.js) and keep
+// the best `minCount`. Searches (custom topics) drop articles that don't
+// mention the topic or score under the relevance floor rather than padding
+// the briefing with unrelated stories. Core categories and local news come
+// pre-filtered by the provider and are only ordered (local by mentions of the
+// listener's area). Articles matching the user's compiled mute list (`mutes`)
+// are always dropped. Ranked articles carry their `relevance` ({ score, matched }).
+function filterRelevantArticles(topic, geo, articles, minCount = 6, mutes = null) {
   const original = Array.isArray(articles) ? articles : [];
-  const out = [];
   const topicLower = String(topic || "").toLowerCase();
   const isLocal = topicLower === "local";
-  const geoTokens = new Set(
-    [geo?.city, geo?.region, geo?.country, geo?.countryCode]
-      .map((s) => String(s || "").toLowerCase())
+  const isCore = CORE_CATEGORIES.has(topicLower);
+  // Custom topics may use query syntax (phrases, OR, -exclude, source:/site:);
+  // articles must satisfy it, exclusions and qualifiers included
+  const topicQuery = compileTopicQuery(topic);
+  const structured = !isLocal && !isCore && !topicQuery.plain;
+  const pool = original.filter((a) => !isMuted(mutes, a) && (!structured || passesTopicFilters(topicQuery, a)));
+  const geoTerms = [...new Set(
+    [geo?.city, geo?.region, geo?.countryName]
+      .map((s) => String(s || "").trim())
       .filter((s) => s.length >= 2)
-  );
-  const topicTokens = new Set(
-    topicLower
-      .split(/[^a-z0-9]+/i)
-      .map((s) => s.trim().toLowerCase())
-      .filter((s) => s && s.length >= 3)
-  );
+  )];
 
-  function textHasAny(text, tokens) {
-    const t = String(text || "").toLowerCase();
-    for (const tok of tokens) {
-      if (tok && t.includes(tok)) return true;
-    }
-    return false;
+  if (isCore) return pool.slice(0, minCount);
+  if (isLocal) {
+    if (geoTerms.length === 0) return pool.slice(0, minCount);
+    const ranked = rankArticles(pool, geoTerms.map((text) => ({ text })));
+    return ranked.slice(0, minCount).map(withRelevance);
   }
 
-  // First pass: strict matches
-  for (const a of original) {
-    const t = a.title || "";
-    const d = a.description || "";
-    if (isLocal) {
-      // For local news, be more lenient - include articles that mention location OR are recent general news
-      if (geoTokens.size > 0 && (textHasAny(t, geoTokens) || textHasAny(d, geoTokens))) {
-        out.push(a);
-      } else if (geoTokens.size === 0) {
-        // If no location data, include recent articles as fallback
-        out.push(a);
-      }
-    } else {
-      if (CORE_CATEGORIES.has(topicLower)) {
-        out.push(a);
-      } else if (topicTokens.size > 0 && (textHasAny(t, topicTokens) || textHasAny(d, topicTokens))) {
-        out.push(a);
-      }
-    }
-  }
-
-  // If we have enough, return
-  if (out.length >= minCount) return out.slice(0, minCount);
-
-  // Second pass: score and backfill best near matches until minCount
-  function score(a) {
-    const t = (a.title || "").toLowerCase();
-    const d = (a.description || "").toLowerCase();
-    let s = 0;
-    // Geo boosts
-    for (const g of geoTokens) {
-      if (!g) continue;
-      if (t.includes(g)) s += 2; else if (d.includes(g)) s += 1;
-    }
-    // Topic boosts (for non-core topics)
-    if (!CORE_CATEGORIES.has(topicLower)) {
-      for (const k of topicTokens) {
-        if (!k) continue;
-        if (t.includes(k)) s += 2; else if (d.includes(k)) s += 1;
-      }
-    }
-    // Freshness boost via publishedAt presence
-    if (a.publishedAt) s += 0.5;
-    return s;
-  }
-
-  const selected = new Set(out);
-  const candidates = original
-    .filter((a) => !selected.has(a))
-    .map((a) => ({ a, s: score(a) }))
-    .sort((x, y) => y.s - x.s);
-
-  for (const { a } of candidates) {
-    out.push(a);
-    if (out.length >= minCount) break;
-  }
-
-  // For local news, if we still don't have enough, be more permissive
-  if (isLocal && out.length < minCount) {
-    const remaining = original.filter((a) => !selected.has(a));
-    for (const a of remaining) {
-      out.push(a);
-      if (out.length >= minCount) break;
-    }
-  }
+  const keywords = queryKeywords(topicQuery);
+  const terms = keywords.map((text) => ({ text }));
+  // Free-text topics of several words rank the exact phrase higher
+  if (topicQuery.plain && keywords.length > 1) terms.push({ text: topicQuery.text, boost: true });
+  // The listener's area nudges local coverage of the topic up
+  for (const text of geoTerms) terms.push({ text, weight: 0.3, boost: true });
+
+  const ranked = rankArticles(pool, terms);
+  // Query-syntax topics already say exactly what matches; they're only ordered
+  const kept = structured
+    ? ranked.filter((r) => matchTopicQuery(topicQuery, r.article))
+    : aboveRelevanceFloor(ranked);
+  return kept.slice(0, minCount).map(withRelevance);
+}
 
-  // Fallback to originals if still empty
-  return out.length > 0 ? out : original.slice(0, minCount);
+function withRelevance({ article, score, matched }) {
+  return { ...article, relevance: { score: Math.round(score * 1000) / 1000, matched } };
 }
 
 // --- JWT helper ---
@@ -755,12 +797,20 @@ function authMiddleware(req, res, next) {
 // --- Routes ---
 
 // Health check
-app.get("/api/health", (req, res) => {
+app.get("/api/health", async (req, res) => {
+  const { budget } = getProvider();
+  if (budget) await budget.ready();
   res.json({
     status: "ok",
     jwtConfigured: !!process.env.JWT_SECRET, // true means you're using a real secret
-    newsConfigured: !!process.env.NEWSAPI_KEY,
-    ttsConfigured: !!process.env.OPENAI_API_KEY,
+    newsConfigured: getProvider().isConfigured(),
+    newsProvider: getProvider().name,
+    ingestion: getSchedulerStatus(),
+    breakingNews: getBreakingNewsStatus(),
+    newsQuota: budget ? budget.getUsage() : null,
+    ttsConfigured: !!process.env.OPENAI_API_KEY || isReplaying(),
+    summarizer: getSummarizerStatus(),
+    upstream: getBreakerStates(),
   });
 });
 
@@ -849,21 +899,24 @@ app.delete("/api/topics", authMiddleware, (req, res) => {
   res.json({ topics: req.user.topics });
 });
 
-// Update location
+// Update location: free text ("Lyon, France") or coordinates from the app ({ lat, lon })
 app.post("/api/location", authMiddleware, (req, res) => {
-  const { location } = req.body || {};
-  req.user.location = location || "";
+  const { location, lat, lon } = req.body || {};
+  const geo = resolveGeo({ geo: lat !== undefined && lon !== undefined ? { lat, lon } : null, location });
+  req.user.location = geo ? formatLocation(geo) : "";
+  req.user.geo = geo;
   saveUsers();
-  res.json({ location: req.user.location });
+  res.json({ location: req.user.location, geo });
 });
 
 // --- Summarization routes (NewsAPI-backed) ---
 
-// Single summarize: expects { topics: string[], wordCount?: number, location?: string, goodNewsOnly?: boolean }
+// Single summarize: expects { topics: string[], wordCount?: number, location?: string, geo?: object, goodNewsOnly?: boolean, upliftingThreshold?: number, contentFilters?: object }
 app.post("/api/summarize", optionalAuth, async (req, res) => {
   // Set a longer timeout for this endpoint
   req.setTimeout(45000); // 45 seconds
   res.setTimeout(45000);
+  const baseUrl = req.protocol + '://' + req.get('host');
   
   try {
     // Check user usage limits (if authenticated)
@@ -885,13 +938,33 @@ app.post("/api/summarize", optionalAuth, async (req, res) => {
       }
     }
     
-    const { topics = [], wordCount = 200, location = "", geo = null, goodNewsOnly = false } = req.body || {};
+    const { topics = [], wordCount = 200, location = "", geo = null, goodNewsOnly = false, since = false, upliftingThreshold } = req.body || {};
     if (!Array.isArray(topics)) {
       return res.status(400).json({ error: "topics must be an array" });
     }
+    // `explain` (or `debug`) adds why-this-story metadata to every item
+    const explain = wantsExplain(req.body);
+    // Which summary provider and model write the briefing
+    const plan = planOf(req.user);
+    let summarizerUsed = null; // { provider, model } of the first topic summary a model wrote
+    const combinedSegments = []; // summary sentences with the articles they cite
+
+    // "Since my last briefing" mode: only stories newer than the user's last briefing
+    // (their latest summary history entry), minus the articles they already heard
+    const lastBriefing = since && req.user ? getLastBriefing(req.user) : null;
+    if (since && !lastBriefing) {
+      console.log("Since-last-briefing requested without a previous briefing, using the default window");
+    }
+    let newStoryCount = 0;
+
+    // Briefing language: the user's preference, or the request's for anonymous users
+    const language = req.user ? userLanguage(req.user) : resolveLanguage(req.body?.language);
+    // Keywords, sources and people the user has muted
+    const mutes = userMuteList(req.user);
 
     // Get user's selected news sources (if authenticated and premium)
     let selectedSources = [];
+    let selectedFeeds = [];
     if (req.user && req.user.isPremium) {
       const user = await User.findById(req.user.id);
       if (user) {
@@ -909,6 +982,11 @@ app.post("/api/summarize", optionalAuth, async (req, res) => {
             requiredCount: 5
           });
         }
+
+        // User feeds are fetched separately from the news provider
+        const split = splitSelectedSources(selectedSources, user.getCustomFeeds());
+        selectedSources = split.providerSources;
+        selectedFeeds = split.feeds;
       }
     } else {
       console.log(`Non-premium user, using all sources`);
@@ -919,13 +997,22 @@ app.post("/api/summarize", optionalAuth, async (req, res) => {
     const items = [];
     const combinedPieces = [];
     const globalCandidates = [];
+    const mutedUrls = new Set(); // muted articles, reported back as a count
+    // "Uplifting only": minimum sentiment score, and the articles that fell short
+    const upliftingMin = resolveUpliftingThreshold(upliftingThreshold);
+    const notUplifting = new Set();
+    // Sensitive-content settings: the user's, or the request's for anonymous users
+    const contentFilters = resolveContentFilters(req.user ? req.user.preferences?.contentFilters : req.body?.contentFilters);
+    const blockedUrls = new Set(); // stories left out by the content filters, reported back as a count
 
+    // "geo" is { city, region, country } or { lat, lon }; "location" is free text
+    const geoData = resolveGeo({ geo, location });
 
     // Helper to format topics like "A and B" or "A, B, and C"
     function formatTopicList(list, geoData) {
       const names = (list || []).map((t) => {
         if (String(t).toLowerCase() === "local") {
-          const r = geoData?.region || geoData?.city || geoData?.country || location || "local";
+          const r = geoData?.region || geoData?.city || geoData?.countryName || location || "local";
           return r;
         }
         return String(t);
@@ -936,66 +1023,28 @@ app.post("/api/summarize", optionalAuth, async (req, res) => {
     }
 
     for (const topic of topics) {
+      recordTopicRequest(topic);
       try {
-        const perTopic = wordCount >= 1500 ? 20 : wordCount >= 800 ? 12 : 6;
-        
-        // Handle different location formats
-        let geoData = null;
-        if (geo && typeof geo === 'object') {
-          // Format: { city: "Los Angeles", region: "California", country: "US" }
-          geoData = {
-            city: geo.city || "",
-            region: geo.region || "",
-            country: geo.country || geo.countryCode || "",
-            countryCode: geo.countryCode || geo.country || ""
-          };
-        } else if (location && typeof location === 'string') {
-          // Format: "New York" or "Los Angeles, California"
-          const locationStr = String(location).trim();
-          if (locationStr) {
-            // Try to parse location string (e.g., "New York" or "Los Angeles, California")
-            const parts = locationStr.split(',').map(p => p.trim());
-            
-            // Common US states mapping for better parsing
-            const stateMap = {
-              'california': 'California', 'ca': 'California',
-              'new york': 'New York', 'ny': 'New York',
-              'texas': 'Texas', 'tx': 'Texas',
-              'florida': 'Florida', 'fl': 'Florida',
-              'illinois': 'Illinois', 'il': 'Illinois',
-              'pennsylvania': 'Pennsylvania', 'pa': 'Pennsylvania',
-              'ohio': 'Ohio', 'oh': 'Ohio',
-              'georgia': 'Georgia', 'ga': 'Georgia',
-              'north carolina': 'North Carolina', 'nc': 'North Carolina',
-              'michigan': 'Michigan', 'mi': 'Michigan'
-            };
-            
-            let city = parts[0] || "";
-            let region = parts[1] || "";
-            
-            // If no comma but it looks like a state name, treat as state
-            if (!region && parts.length === 1) {
-              const lowerPart = parts[0].toLowerCase();
-              if (stateMap[lowerPart]) {
-                city = "";
-                region = stateMap[lowerPart];
-              }
-            }
-            
-            geoData = {
-              city: city,
-              region: region,
-              country: "US", // Default to US for now
-              countryCode: "US"
-            };
-          }
+        const perTopic = articlesPerTopic(wordCount);
+        const { articles } = await fetchTopicArticles(topic, geoData, perTopic, selectedSources, selectedFeeds, {
+          language,
+          since: lastBriefing?.at,
+          heardArticleIds: lastBriefing?.heardArticleIds,
+        });
+        newStoryCount += articles.length;
+
+        for (const a of articles) {
+          if (isMuted(mutes, a)) mutedUrls.add(a.url || a.title);
         }
-        
-        const { articles } = await fetchArticlesForTopic(topic, geoData, perTopic, selectedSources);
 
-        // Optimized pool of unfiltered candidates for global backfill
-        for (let idx = 0; idx < articles.length; idx++) {
-          const a = articles[idx];
+        // Every story that passes the topic's relevance ranking (custom topics drop
+        // those under the relevance floor): the top ones make the summary, and all of
+        // them are candidates for the global backfill
+        const ranked = filterRelevantArticles(topic, geoData, articles, articles.length, mutes);
+        for (let idx = 0; idx < ranked.length; idx++) {
+          const a = ranked[idx];
+          if (goodNewsOnly && !isUplifting(a, upliftingMin)) continue;
+          if (assessArticle(a, contentFilters).action === "block") continue;
           globalCandidates.push({
             id: `${topic}-cand-${idx}-${Date.now()}`,
             title: a.title || "",
@@ -1005,7 +1054,14 @@ app.post("/api/summarize", optionalAuth, async (req, res) => {
               .slice(0, 150), // Reduced for better performance
             source: a.source || "",
             url: a.url || "",
+            articleId: a.articleId,
             topic,
+            cluster: a.cluster,
+            entities: a.entities,
+            thumbnailUrl: thumbnailUrl(a.urlToImage, baseUrl),
+            sentiment: articleSentiment(a),
+            sensitivity: a.sensitivity || assessArticle(a, contentFilters),
+            explain: explain ? explainItem(a, { match: "backfill" }) : undefined,
           });
         }
 
@@ -1014,14 +1070,29 @@ app.post("/api/summarize", optionalAuth, async (req, res) => {
         const isLocal = topicLower === "local";
 
         // Filter relevant articles
-        let relevant = filterRelevantArticles(topic, geoData, articles, perTopic);
+        let relevant = ranked.slice(0, perTopic);
+
+        // Sensitive-content filters: blocked stories are dropped, softened ones marked for the summary
+        const screened = screenArticles(relevant, contentFilters);
+        for (const a of screened.blocked) blockedUrls.add(a.url || a.title);
+        relevant = screened.kept;
         
-        // Apply uplifting news filter if enabled
+        // Apply uplifting news filter if enabled: keep stories scoring at least the threshold
         if (goodNewsOnly) {
-          relevant = relevant.filter(isUpliftingNews);
+          relevant = relevant.filter((a) => {
+            if (isUplifting(a, upliftingMin)) return true;
+            notUplifting.add(a.url || a.title);
+            return false;
+          });
         }
 
-        const summary = await summarizeArticles(topic, geoData, relevant, wordCount, goodNewsOnly);
+        // Stories the listener tends to like move up before the summary picks its top ones
+        relevant = personalizeArticles(relevant, req.user?.interestProfile, topic);
+
+        const summaryTrace = createSummaryTrace();
+        const summary = await summarizeArticles(topic, geoData, relevant, wordCount, goodNewsOnly, language, lastBriefing?.at || null, { plan, trace: summaryTrace });
+        if (!summarizerUsed && summaryTrace.provider) summarizerUsed = { provider: summaryTrace.provider, model: summaryTrace.model };
+        combinedSegments.push(...summaryTrace.segments);
 
         // For single topic, use the summary as-is (ChatGPT already includes the intro)
         if (summary) combinedPieces.push(summary);
@@ -1035,7 +1106,14 @@ app.post("/api/summarize", optionalAuth, async (req, res) => {
             .slice(0, 180), // Optimized truncation length
           source: a.source || "",
           url: a.url || "",
+          articleId: a.articleId,
           topic,
+          cluster: a.cluster,
+          entities: a.entities,
+          thumbnailUrl: thumbnailUrl(a.urlToImage, baseUrl),
+          sentiment: articleSentiment(a),
+          sensitivity: a.sensitivity || assessArticle(a, contentFilters),
+          explain: explain ? explainItem(a, { match: "strict", inSummary: idx < summaryTrace.used }) : undefined,
         }));
 
         items.push(...sourceItems);
@@ -1064,64 +1142,13 @@ app.post("/api/summarize", optionalAuth, async (req, res) => {
       }
     }
 
-    // Get the first geoData for formatting (they should all be the same)
-    const firstGeoData = topics.includes('local') ? (() => {
-      if (geo && typeof geo === 'object') {
-        return {
-          city: geo.city || "",
-          region: geo.region || "",
-          country: geo.country || geo.countryCode || "",
-          countryCode: geo.countryCode || geo.country || ""
-        };
-      } else if (location && typeof location === 'string') {
-        const locationStr = String(location).trim();
-        if (locationStr) {
-          const parts = locationStr.split(',').map(p => p.trim());
-          
-          // Common US states mapping for better parsing
-          const stateMap = {
-            'california': 'California', 'ca': 'California',
-            'new york': 'New York', 'ny': 'New York',
-            'texas': 'Texas', 'tx': 'Texas',
-            'florida': 'Florida', 'fl': 'Florida',
-            'illinois': 'Illinois', 'il': 'Illinois',
-            'pennsylvania': 'Pennsylvania', 'pa': 'Pennsylvania',
-            'ohio': 'Ohio', 'oh': 'Ohio',
-            'georgia': 'Georgia', 'ga': 'Georgia',
-            'north carolina': 'North Carolina', 'nc': 'North Carolina',
-            'michigan': 'Michigan', 'mi': 'Michigan'
-          };
-          
-          let city = parts[0] || "";
-          let region = parts[1] || "";
-          
-          // If no comma but it looks like a state name, treat as state
-          if (!region && parts.length === 1) {
-            const lowerPart = parts[0].toLowerCase();
-            if (stateMap[lowerPart]) {
-              city = "";
-              region = stateMap[lowerPart];
-            }
-          }
-          
-          return {
-            city: city,
-            region: region,
-            country: "US",
-            countryCode: "US"
-          };
-        }
-      }
-      return null;
-    })() : null;
-    
     // For single topic, just use the summary as-is (no overall intro needed)
     let combinedText;
     if (topics.length === 1) {
       combinedText = combinedPieces.join(" ").trim();
     } else {
       // For multi-topic, create separate segments
-    const topicsLabel = formatTopicList(topics, firstGeoData);
+    const topicsLabel = formatTopicList(topics, geoData);
       combinedText = combinedPieces.join(" ").trim();
     }
 
@@ -1137,7 +1164,8 @@ app.post("/api/summarize", optionalAuth, async (req, res) => {
     // Generate a better title based on topics
     let title = "Summary";
     if (topics.length === 1) {
-      title = `${topics[0].charAt(0).toUpperCase() + topics[0].slice(1)} Summary`;
+      const topicName = topicLabel(topics[0]);
+      title = `${topicName.charAt(0).toUpperCase() + topicName.slice(1)} Summary`;
     } else if (topics.length > 1) {
       title = "Mixed Summary";
     }
@@ -1149,7 +1177,22 @@ app.post("/api/summarize", optionalAuth, async (req, res) => {
         title: title,
         summary: combinedText,
         audioUrl: null,
+        language,
+        // Most mentioned people, organizations and places, saved with the history entry
+        entities: mergeEntities(items.map((i) => i.entities)),
+        // Artwork for the briefing: the first story with an image
+        thumbnailUrl: items.find((i) => i.thumbnailUrl)?.thumbnailUrl || null,
+        // Whether the briefing touches sensitive categories (and how many stories were softened)
+        contentAdvisory: contentAdvisory(items),
+        // Summary provider and model, saved with the history entry (null when only titles were read out)
+        summarizer: summarizerUsed,
+        // Each sentence of the summary with the articles it cites, for highlighting sources during playback
+        segments: combinedSegments,
       },
+      mutedCount: mutedUrls.size,
+      uplifting: goodNewsOnly ? { threshold: upliftingMin, excludedCount: notUplifting.size } : null,
+      blockedCount: blockedUrls.size,
+      since: lastBriefing ? { lastBriefingAt: lastBriefing.at.toISOString(), newStories: newStoryCount } : null,
     });
   } catch (e) {
     console.error("Summarize endpoint error:", e);
@@ -1162,12 +1205,13 @@ app.post("/api/summarize", optionalAuth, async (req, res) => {
   }
 });
 
-// Batch summarize: expects { batches: Array<{ topics: string[], wordCount?: number, location?: string, goodNewsOnly?: boolean }> }
+// Batch summarize: expects { batches: Array<{ topics: string[], wordCount?: number, location?: string, geo?: object, goodNewsOnly?: boolean, upliftingThreshold?: number, contentFilters?: object, explain?: boolean }>, explain?: boolean }
 // Returns an array of results in the same shape as /api/summarize for each batch
 app.post("/api/summarize/batch", optionalAuth, async (req, res) => {
   // Set a longer timeout for this endpoint
   req.setTimeout(60000); // 60 seconds for batch processing
   res.setTimeout(60000);
+  const baseUrl = req.protocol + '://' + req.get('host');
   
   try {
     // Check user usage limits (if authenticated)
@@ -1194,8 +1238,15 @@ app.post("/api/summarize/batch", optionalAuth, async (req, res) => {
       return res.status(400).json({ error: "batches must be an array" });
     }
 
+    // Briefing language: the user's preference, or the request's for anonymous users
+    const language = req.user ? userLanguage(req.user) : resolveLanguage(req.body?.language);
+    // Keywords, sources and people the user has muted
+    const mutes = userMuteList(req.user);
+    const plan = planOf(req.user);
+
     // Get user's selected news sources (if authenticated and premium)
     let selectedSources = [];
+    let selectedFeeds = [];
     if (req.user && req.user.isPremium) {
       const user = await User.findById(req.user.id);
       if (user) {
@@ -1211,6 +1262,11 @@ app.post("/api/summarize/batch", optionalAuth, async (req, res) => {
             requiredCount: 5
           });
         }
+
+        // User feeds are fetched separately from the news provider
+        const split = splitSelectedSources(selectedSources, user.getCustomFeeds());
+        selectedSources = split.providerSources;
+        selectedFeeds = split.feeds;
       }
     }
     
@@ -1222,17 +1278,26 @@ app.post("/api/summarize/batch", optionalAuth, async (req, res) => {
         const wordCount =
           Number.isFinite(b.wordCount) && b.wordCount > 0 ? b.wordCount : 200;
         const location = typeof b.location === "string" ? b.location : "";
+        const geoData = resolveGeo({ geo: b.geo, location });
         const goodNewsOnly = Boolean(b.goodNewsOnly);
+        const explain = wantsExplain(req.body) || wantsExplain(b);
+        let summarizerUsed = null;
+        const combinedSegments = [];
 
         const items = [];
         const combinedPieces = [];
         const globalCandidates = [];
+        const mutedUrls = new Set(); // muted articles, reported back as a count
+        const upliftingMin = resolveUpliftingThreshold(b.upliftingThreshold);
+        const notUplifting = new Set();
+        const contentFilters = resolveContentFilters(req.user ? req.user.preferences?.contentFilters : b.contentFilters);
+        const blockedUrls = new Set();
 
 
         function formatTopicList(list, geoObj) {
           const names = (list || []).map((t) => {
             if (String(t).toLowerCase() === "local") {
-              return geoObj?.region || geoObj?.city || geoObj?.country || "local";
+              return geoObj?.region || geoObj?.city || geoObj?.countryName || "local";
             }
             return String(t);
           });
@@ -1242,20 +1307,23 @@ app.post("/api/summarize/batch", optionalAuth, async (req, res) => {
         }
 
         for (const topic of topics) {
+          recordTopicRequest(topic);
           try {
-            const perTopic = wordCount >= 1500 ? 20 : wordCount >= 800 ? 12 : 6;
-            // Normalize geo data structure for batch
-            const geoData = location ? {
-              city: "",
-              region: "",
-              country: location,
-              countryCode: location
-            } : null;
-            
-            const { articles } = await fetchArticlesForTopic(topic, geoData, perTopic, selectedSources);
+            const perTopic = articlesPerTopic(wordCount);
+            const { articles } = await fetchTopicArticles(topic, geoData, perTopic, selectedSources, selectedFeeds, { language });
 
-            for (let idx = 0; idx < articles.length; idx++) {
-              const a = articles[idx];
+            for (const a of articles) {
+              if (isMuted(mutes, a)) mutedUrls.add(a.url || a.title);
+            }
+
+            // Every story that passes the topic's relevance ranking (custom topics drop
+            // those under the relevance floor): the top ones make the summary, and all of
+            // them are candidates for the global backfill
+            const ranked = filterRelevantArticles(topic, geoData, articles, articles.length, mutes);
+            for (let idx = 0; idx < ranked.length; idx++) {
+              const a = ranked[idx];
+              if (goodNewsOnly && !isUplifting(a, upliftingMin)) continue;
+              if (assessArticle(a, contentFilters).action === "block") continue;
               globalCandidates.push({
                 id: `${topic}-cand-${idx}-${Date.now()}`,
                 title: a.title || "",
@@ -1265,21 +1333,43 @@ app.post("/api/summarize/batch", optionalAuth, async (req, res) => {
                   .slice(0, 150), // Reduced for better performance
                 source: a.source || "",
                 url: a.url || "",
+                articleId: a.articleId,
                 topic,
+                cluster: a.cluster,
+                entities: a.entities,
+                thumbnailUrl: thumbnailUrl(a.urlToImage, baseUrl),
+                sentiment: articleSentiment(a),
+                sensitivity: a.sensitivity || assessArticle(a, contentFilters),
+                explain: explain ? explainItem(a, { match: "backfill" }) : undefined,
               });
             }
 
             const topicLower = String(topic || "").toLowerCase();
             const isCore = CORE_CATEGORIES.has(topicLower);
 
-            let relevant = filterRelevantArticles(topic, { country: location }, articles, perTopic);
+            let relevant = ranked.slice(0, perTopic);
+
+            // Sensitive-content filters: blocked stories are dropped, softened ones marked for the summary
+            const screened = screenArticles(relevant, contentFilters);
+            for (const a of screened.blocked) blockedUrls.add(a.url || a.title);
+            relevant = screened.kept;
             
-            // Apply uplifting news filter if enabled
+            // Apply uplifting news filter if enabled: keep stories scoring at least the threshold
             if (goodNewsOnly) {
-              relevant = relevant.filter(isUpliftingNews);
+              relevant = relevant.filter((a) => {
+                if (isUplifting(a, upliftingMin)) return true;
+                notUplifting.add(a.url || a.title);
+                return false;
+              });
             }
 
-            const summary = await summarizeArticles(topic, { country: location }, relevant, wordCount, goodNewsOnly);
+            // Stories the listener tends to like move up before the summary picks its top ones
+            relevant = personalizeArticles(relevant, req.user?.interestProfile, topic);
+
+            const summaryTrace = createSummaryTrace();
+            const summary = await summarizeArticles(topic, geoData, relevant, wordCount, goodNewsOnly, language, null, { plan, trace: summaryTrace });
+            if (!summarizerUsed && summaryTrace.provider) summarizerUsed = { provider: summaryTrace.provider, model: summaryTrace.model };
+            combinedSegments.push(...summaryTrace.segments);
             // For multi-topic, each summary already includes its own intro, so use as-is
             if (summary) combinedPieces.push(summary);
 
@@ -1292,7 +1382,14 @@ app.post("/api/summarize/batch", optionalAuth, async (req, res) => {
                 .slice(0, 180), // Optimized truncation length
               source: a.source || "",
               url: a.url || "",
+              articleId: a.articleId,
               topic,
+              cluster: a.cluster,
+              entities: a.entities,
+              thumbnailUrl: thumbnailUrl(a.urlToImage, baseUrl),
+              sentiment: articleSentiment(a),
+              sensitivity: a.sensitivity || assessArticle(a, contentFilters),
+              explain: explain ? explainItem(a, { match: "strict", inSummary: idx < summaryTrace.used }) : undefined,
             }));
 
             items.push(...sourceItems);
@@ -1326,7 +1423,8 @@ app.post("/api/summarize/batch", optionalAuth, async (req, res) => {
         // Generate a better title based on topics
         let title = "Summary";
         if (topics.length === 1) {
-          title = `${topics[0].charAt(0).toUpperCase() + topics[0].slice(1)} Summary`;
+          const topicName = topicLabel(topics[0]);
+          title = `${topicName.charAt(0).toUpperCase() + topicName.slice(1)} Summary`;
         } else if (topics.length > 1) {
           title = "Mixed Summary";
         }
@@ -1338,7 +1436,16 @@ app.post("/api/summarize/batch", optionalAuth, async (req, res) => {
             title: title,
             summary: combinedText,
             audioUrl: null,
+            language,
+            entities: mergeEntities(items.map((i) => i.entities)),
+            thumbnailUrl: items.find((i) => i.thumbnailUrl)?.thumbnailUrl || null,
+            contentAdvisory: contentAdvisory(items),
+            summarizer: summarizerUsed,
+            segments: combinedSegments,
           },
+          mutedCount: mutedUrls.size,
+          uplifting: goodNewsOnly ? { threshold: upliftingMin, excludedCount: notUplifting.size } : null,
+          blockedCount: blockedUrls.size,
         };
       })
     );
@@ -1367,18 +1474,22 @@ app.post("/api/summarize/batch", optionalAuth, async (req, res) => {
 // Note: Usage endpoint is now handled by /api/auth/usage in auth routes
 
 // --- TTS endpoint (OpenAI) ---
-app.post("/api/tts", async (req, res) => {
+app.post("/api/tts", optionalAuth, async (req, res) => {
   try {
-    const { text, voice = "alloy", speed = 1.0 } = req.body || {};
+    const { text, speed = 1.0 } = req.body || {};
     if (!text || typeof text !== "string") {
       return res.status(400).json({ error: "text is required" });
     }
-    if (!OPENAI_API_KEY) {
+    // Language of the text (as returned with the summary), else the user's preference;
+    // it picks the default voice and, for non-English text, the model reading it
+    const language = getLanguage(req.body?.language || req.user?.preferences?.language);
+    const voice = req.body?.voice || language.voice;
+    if (!OPENAI_API_KEY && !isReplaying()) {
       return res.status(501).json({ error: "TTS not configured" });
     }
 
-    // Optimized text sanitization for TTS stability
-    const cleaned = String(text)
+    // Optimized text sanitization for TTS stability (citation markers are never read out)
+    const cleaned = stripCitations(text)
       .replace(/[\n\r\u2018\u2019\u201C\u201D]/g, (match) => {
         // Single pass replacement for better performance
         switch(match) {
@@ -1402,7 +1513,8 @@ app.post("/api/tts", async (req, res) => {
     // Temporarily disable cache for voice testing
     const disableCache = true; // Set to false to re-enable caching
     
-    if (cached && !disableCache) {
+    // Cached audio is still served while OpenAI is unavailable
+    if (cached && (!disableCache || !isProviderAvailable("openai"))) {
       console.log(`TTS cache hit for ${finalText.substring(0, 50)}... with voice: ${voice}`);
       // Ensure cached URL is absolute
       const baseUrl = req.protocol + '://' + req.get('host');
@@ -1412,15 +1524,22 @@ app.post("/api/tts", async (req, res) => {
     
     console.log(`TTS cache miss - generating new audio with voice: ${voice}`);
 
-    const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-
+    // Resolves to the mp3 audio as a Buffer
     async function tryModel(model, voice) {
-      return await openai.audio.speech.create({
+      const params = {
         model,
         voice,
         input: finalText,
         format: "mp3",
-      });
+      };
+      // Only the gpt-4o TTS models take instructions; they keep a native accent outside English
+      if (model === "gpt-4o-mini-tts" && language.code !== DEFAULT_LANGUAGE) {
+        params.instructions = `Speak in ${language.name} with a natural, native ${language.name} accent.`;
+      }
+      return await replayable("openai", "audio.speech.create", params, () => callUpstream("openai", async () => {
+        const speech = await new OpenAI({ apiKey: OPENAI_API_KEY, maxRetries: 0 }).audio.speech.create(params);
+        return Buffer.from(await speech.arrayBuffer());
+      }), { encoding: "binary" });
     }
 
     // Map voice names to lowercase (OpenAI expects lowercase)
@@ -1435,11 +1554,15 @@ app.post("/api/tts", async (req, res) => {
     let speech;
     let lastErr;
     
-    // Try the requested voice with different models
-    const attempts = [
+    // Try the requested voice with different models (the instructable model first for non-English text)
+    const attempts = language.code === DEFAULT_LANGUAGE ? [
       { model: "tts-1", voice: selectedVoice },
       { model: "tts-1-hd", voice: selectedVoice },
       { model: "gpt-4o-mini-tts", voice: selectedVoice },
+    ] : [
+      { model: "gpt-4o-mini-tts", voice: selectedVoice },
+      { model: "tts-1", voice: selectedVoice },
+      { model: "tts-1-hd", voice: selectedVoice },
     ];
     
     // Only fall back to alloy if the requested voice completely fails
@@ -1459,6 +1582,8 @@ app.post("/api/tts", async (req, res) => {
         }
       } catch (e) {
         lastErr = e;
+        // Other models won't fare better while OpenAI is down
+        if (e instanceof CircuitOpenError) break;
         try {
           const msg = e?.message || String(e);
           console.warn(`/api/tts attempt failed (model=${model}, voice=${attemptVoice}):`, msg);
@@ -1471,7 +1596,7 @@ app.post("/api/tts", async (req, res) => {
     }
     
     // If requested voice failed, try fallback
-    if (!speech) {
+    if (!speech && !(lastErr instanceof CircuitOpenError)) {
       console.log(`TTS Fallback - Requested voice "${selectedVoice}" failed, trying alloy`);
       for (const { model, voice: attemptVoice } of fallbackAttempts) {
         try {
@@ -1483,6 +1608,7 @@ app.post("/api/tts", async (req, res) => {
           }
         } catch (e) {
           lastErr = e;
+          if (e instanceof CircuitOpenError) break;
           console.warn(`/api/tts fallback failed (model=${model}, voice=${attemptVoice}):`, e?.message || String(e));
         }
       }
@@ -1492,7 +1618,7 @@ app.post("/api/tts", async (req, res) => {
       throw lastErr || new Error("All TTS attempts failed");
     }
 
-    const buffer = Buffer.from(await speech.arrayBuffer());
+    const buffer = speech;
     const fileBase = `tts-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.mp3`;
     const outPath = path.join(MEDIA_DIR, fileBase);
     fs.writeFileSync(outPath, buffer);
@@ -1514,13 +1640,34 @@ app.post("/api/tts", async (req, res) => {
         console.error("OpenAI response:", body);
       }
     } catch {}
+    if (e instanceof CircuitOpenError) {
+      res.set("Retry-After", String(Math.ceil(e.retryAfterMs / 1000)));
+      return res.status(503).json({ error: "TTS temporarily unavailable" });
+    }
     res.status(500).json({ error: "tts failed" });
   }
 });
 
+// Audio for a breaking news alert, read with the default voice. Resolves to
+// its /media path, or null when TTS isn't configured.
+async function synthesizeAlertAudio(text) {
+  if (!OPENAI_API_KEY && !isReplaying()) return null;
+  const params = { model: "tts-1", voice: "alloy", input: text, format: "mp3" };
+  const buffer = await replayable("openai", "audio.speech.create", params, () => callUpstream("openai", async () => {
+    const speech = await new OpenAI({ apiKey: OPENAI_API_KEY, maxRetries: 0 }).audio.speech.create(params);
+    return Buffer.from(await speech.arrayBuffer());
+  }), { encoding: "binary" });
+  const fileBase = `alert-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.mp3`;
+  fs.writeFileSync(path.join(MEDIA_DIR, fileBase), buffer);
+  return `/media/${fileBase}`;
+}
+
 // --- Server start ---
 app.listen(PORT, () => {
   console.log(`Backend server running on port ${PORT}`);
+  startFeedPolling();
+  startIngestionScheduler({ coreTopics: [...CORE_CATEGORIES], warmTopic });
+  startBreakingNews({ synthesize: synthesizeAlertAudio });
   if (!process.env.JWT_SECRET) {
     console.warn(
       "[WARN] JWT_SECRET is not set. Using an insecure fallback for development."
@@ -0,0 +1,185 @@
+// backend/server/interests.js
+// Per-user interest model learned from listening feedback. Every story item
+// a listener reacts to updates a weight for each feature of the story: its
+// topic, its source and the people, organizations and places it mentions.
+// Explicit thumbs up/down count fully; implicit signals (replaying a story,
+// listening to the end, skipping it) count less. Weights fade with a
+// half-life of INTEREST_HALF_LIFE_DAYS, so old habits stop mattering.
+//
+// The summarize routes re-rank each topic's relevant articles with the
+// profile before the summary picks its top stories: a story's interest
+// (-1..1, from the weights of its features) moves it up or down a few places
+// from its relevance rank.
+
+const { ENTITY_TYPES, sanitizeEntities } = require("./entities");
+
+// Signal strength of each kind of feedback
+const FEEDBACK_SIGNALS = {
+  up: 1,
+  down: -1,
+  replay: 0.5,
+  complete: 0.25,
+  skip: -0.3,
+};
+const FEEDBACK_TYPES = Object.keys(FEEDBACK_SIGNALS);
+
+// How much a signal moves each kind of feature
+const FEATURE_RATES = { topic: 0.5, source: 0.7, entity: 1 };
+const HALF_LIFE_DAYS = Number(process.env.INTEREST_HALF_LIFE_DAYS) || 30;
+const MAX_WEIGHT = 5;
+const MAX_FEATURES = 200; // weakest features are forgotten first
+const MAX_EVENTS_PER_REQUEST = 50;
+const PLACES_PER_INTEREST = 3; // how far full interest (or disinterest) moves a story
+const MIN_WEIGHT = 0.01;
+
+function emptyProfile() {
+  return { weights: {}, feedbackCount: 0, updatedAt: null };
+}
+
+// Feature keys can't hold "." or a leading "$" (they're stored as map keys)
+function featureKey(kind, value) {
+  const clean = String(value || "").toLowerCase().replace(/[.$]/g, "").replace(/\s+/g, " ").trim().slice(0, 80);
+  return clean ? `${kind}:${clean}` : null;
+}
+
+// Features of an article or story item, with the rate they learn at
+function articleFeatures(article) {
+  const features = [];
+  const add = (kind, value, rate) => {
+    const key = featureKey(kind, value);
+    if (key && !features.some((f) => f.key === key)) features.push({ key, rate });
+  };
+  add("topic", article.topic, FEATURE_RATES.topic);
+  add("source", typeof article.source === "string" ? article.source : article.source?.name, FEATURE_RATES.source);
+  const entities = sanitizeEntities(article.entities);
+  for (const type of ENTITY_TYPES) {
+    for (const name of entities[type]) add("entity", name, FEATURE_RATES.entity);
+  }
+  return features;
+}
+
+// Error message for an invalid feedback event, or null when it's valid.
+// An event is { type, item: { title, source, topic, entities, url } }.
+function validateFeedback(event) {
+  if (!event || typeof event !== "object") return "Feedback must be an object";
+  if (!FEEDBACK_TYPES.includes(event.type)) {
+    return `Feedback type must be one of: ${FEEDBACK_TYPES.join(", ")}`;
+  }
+  if (!event.item || typeof event.item !== "object") return "Feedback needs the story item it is about";
+  if (articleFeatures(event.item).length === 0) {
+    return "Story item needs a topic, source or entities to learn from";
+  }
+  return null;
+}
+
+function normalizeEvents(body) {
+  const events = Array.isArray(body?.events) ? body.events : body ? [body] : [];
+  return events.slice(0, MAX_EVENTS_PER_REQUEST);
+}
+
+function decayFactor(updatedAt, now) {
+  const last = updatedAt ? new Date(updatedAt).getTime() : NaN;
+  if (!Number.isFinite(last)) return 1;
+  const days = Math.max(0, now - last) / (24 * 60 * 60 * 1000);
+  return Math.pow(0.5, days / HALF_LIFE_DAYS);
+}
+
+// A new profile with `events` learned (the stored one is left untouched)
+function applyFeedback(profile, events, now = Date.now()) {
+  const current = profile || emptyProfile();
+  const decay = decayFactor(current.updatedAt, now);
+  const weights = {};
+  for (const [key, weight] of Object.entries(current.weights || {})) {
+    if (Math.abs(weight * decay) >= MIN_WEIGHT) weights[key] = weight * decay;
+  }
+
+  for (const event of events) {
+    const signal = FEEDBACK_SIGNALS[event.type];
+    for (const { key, rate } of articleFeatures(event.item)) {
+      const next = (weights[key] || 0) + signal * rate;
+      weights[key] = Math.max(-MAX_WEIGHT, Math.min(MAX_WEIGHT, next));
+    }
+  }
+
+  const kept = Object.entries(weights)
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+    .slice(0, MAX_FEATURES)
+    .map(([key, weight]) => [key, Math.round(weight * 1000) / 1000]);
+  return {
+    weights: Object.fromEntries(kept),
+    feedbackCount: (current.feedbackCount || 0) + events.length,
+    updatedAt: new Date(now),
+  };
+}
+
+// Stored profile as a plain object (Mongoose keeps the weights in a Map)
+function plainProfile(stored) {
+  if (!stored) return emptyProfile();
+  const weights = stored.weights instanceof Map ? Object.fromEntries(stored.weights) : { ...(stored.weights || {}) };
+  return { weights, feedbackCount: stored.feedbackCount || 0, updatedAt: stored.updatedAt || null };
+}
+
+// How much the profile likes an article, from -1 to 1
+function interestScore(profile, article) {
+  const weights = profile?.weights || {};
+  const features = articleFeatures(article);
+  if (features.length === 0) return 0;
+  const sum = features.reduce((total, { key }) => total + (weights[key] || 0), 0);
+  return Math.tanh(sum / Math.sqrt(features.length) / 2);
+}
+
+// Re-rank `articles` (already in relevance order) for the user's profile. The
+// topic is passed separately since fetched articles don't carry it. Weights
+// are faded by the time since the last feedback, as they would be on the
+// next update.
+function personalizeArticles(articles, storedProfile, topic, now = Date.now()) {
+  const profile = plainProfile(storedProfile);
+  if (!Array.isArray(articles) || articles.length < 2 || Object.keys(profile.weights).length === 0) {
+    return articles;
+  }
+  const decay = decayFactor(profile.updatedAt, now);
+  const weights = Object.fromEntries(Object.entries(profile.weights).map(([key, weight]) => [key, weight * decay]));
+  const decayed = { ...profile, weights };
+  return articles
+    .map((article, index) => ({
+      article,
+      rank: index - PLACES_PER_INTEREST * interestScore(decayed, { ...article, topic }),
+      index,
+    }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ article }) => article);
+}
+
+// The profile for inspection: strongest likes and dislikes per kind of feature
+function describeProfile(storedProfile, now = Date.now()) {
+  const profile = plainProfile(storedProfile);
+  const decay = decayFactor(profile.updatedAt, now);
+  const kinds = { topics: "topic", sources: "source", entities: "entity" };
+  const described = {};
+  for (const [label, kind] of Object.entries(kinds)) {
+    const entries = Object.entries(profile.weights)
+      .filter(([key]) => key.startsWith(`${kind}:`))
+      .map(([key, weight]) => ({ name: key.slice(kind.length + 1), weight: Math.round(weight * decay * 100) / 100 }))
+      .filter(({ weight }) => weight !== 0);
+    described[label] = {
+      liked: entries.filter((e) => e.weight > 0).sort((a, b) => b.weight - a.weight).slice(0, 10),
+      disliked: entries.filter((e) => e.weight < 0).sort((a, b) => a.weight - b.weight).slice(0, 10),
+    };
+  }
+  return {
+    ...described,
+    feedbackCount: profile.feedbackCount,
+    updatedAt: profile.updatedAt,
+  };
+}
+
+module.exports = {
+  FEEDBACK_TYPES,
+  emptyProfile,
+  validateFeedback,
+  normalizeEvents,
+  applyFeedback,
+  plainProfile,
+  personalizeArticles,
+  describeProfile,
+};
@@ -0,0 +1,60 @@
+// backend/server/languages.js
+// Briefing languages. A user's `preferences.language` drives the news
+// provider's language filter, the source catalog, the language the summary
+// is written in and the TTS voice used to read it.
+//
+// Codes are the ISO 639-1 codes NewsAPI accepts for `language`. `country` is
+// used for top-headlines (which only filter by country) when the request has
+// no location of its own; `voice` is the default TTS voice for the language.
+
+const DEFAULT_LANGUAGE = "en";
+
+const LANGUAGES = {
+  en: { name: "English", nativeName: "English", country: "", voice: "alloy" },
+  ar: { name: "Arabic", nativeName: "العربية", country: "ae", voice: "onyx" },
+  de: { name: "German", nativeName: "Deutsch", country: "de", voice: "onyx" },
+  es: { name: "Spanish", nativeName: "Español", country: "mx", voice: "nova" },
+  fr: { name: "French", nativeName: "Français", country: "fr", voice: "shimmer" },
+  he: { name: "Hebrew", nativeName: "עברית", country: "il", voice: "echo" },
+  it: { name: "Italian", nativeName: "Italiano", country: "it", voice: "nova" },
+  nl: { name: "Dutch", nativeName: "Nederlands", country: "nl", voice: "echo" },
+  no: { name: "Norwegian", nativeName: "Norsk", country: "no", voice: "echo" },
+  pt: { name: "Portuguese", nativeName: "Português", country: "br", voice: "nova" },
+  ru: { name: "Russian", nativeName: "Русский", country: "ru", voice: "onyx" },
+  sv: { name: "Swedish", nativeName: "Svenska", country: "se", voice: "shimmer" },
+  zh: { name: "Chinese", nativeName: "中文", country: "cn", voice: "alloy" },
+};
+
+function isSupportedLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, String(code || "").toLowerCase());
+}
+
+// Normalize a language code ("de-DE", "DE") to a supported one, or the default
+function resolveLanguage(code) {
+  const base = String(code || "").trim().toLowerCase().split(/[-_]/)[0];
+  return isSupportedLanguage(base) ? base : DEFAULT_LANGUAGE;
+}
+
+function getLanguage(code) {
+  const resolved = resolveLanguage(code);
+  return { code: resolved, ...LANGUAGES[resolved] };
+}
+
+// Language of a user (Mongo document or fallback user), default English
+function userLanguage(user) {
+  return resolveLanguage(user?.preferences?.language);
+}
+
+function listLanguages() {
+  return Object.keys(LANGUAGES).map((code) => ({ code, name: LANGUAGES[code].name, nativeName: LANGUAGES[code].nativeName }));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES: Object.keys(LANGUAGES),
+  isSupportedLanguage,
+  resolveLanguage,
+  getLanguage,
+  userLanguage,
+  listLanguages,
+};
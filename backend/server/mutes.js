@@ -0,0 +1,88 @@
+// backend/server/mutes.js
+// Per-user mute lists. Keywords, sources and people on a user's mute list are
+// dropped from every briefing, whatever the topic: relevance filtering and the
+// backfill in the summarize routes both skip muted articles.
+
+const { hostnameOf } = require("./providers/util");
+
+const MUTE_TYPES = ["keywords", "sources", "people"];
+const MAX_MUTES_PER_TYPE = 50;
+const MAX_MUTE_LENGTH = 60;
+
+const EMPTY_MUTES = { empty: true, keywords: [], sources: [], people: [] };
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function slugify(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+// Error message for an invalid mute entry, or null when it's valid
+function validateMute(type, value) {
+  if (!MUTE_TYPES.includes(type)) {
+    return `Mute type must be one of: ${MUTE_TYPES.join(", ")}`;
+  }
+  if (typeof value !== "string" || value.trim().length === 0) {
+    return "Mute value must be a non-empty string";
+  }
+  if (value.trim().length > MAX_MUTE_LENGTH) {
+    return `Mute value must be ${MAX_MUTE_LENGTH} characters or less`;
+  }
+  return null;
+}
+
+// Prepare a stored mute list ({ keywords, sources, people }) for matching
+function compileMuteList(muteList) {
+  if (!muteList) return EMPTY_MUTES;
+  const values = (type) => (muteList[type] || []).map((v) => String(v).trim()).filter(Boolean);
+
+  // Keywords match at a word start ("lakers" also mutes "Lakers'"), names as whole phrases
+  const keywords = values("keywords").map((k) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(k)}`, "iu"));
+  const people = values("people").map((p) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(p)}($|[^\\p{L}\\p{N}])`, "iu"));
+  const sources = values("sources").map((s) => s.toLowerCase().replace(/^www\./, ""));
+
+  const empty = keywords.length === 0 && people.length === 0 && sources.length === 0;
+  return empty ? EMPTY_MUTES : { empty, keywords, sources, people };
+}
+
+function userMuteList(user) {
+  return compileMuteList(user?.muteList);
+}
+
+function sourceMatches(muted, article) {
+  const source = article.source || {};
+  const id = typeof source === "string" ? "" : String(source.id || "").toLowerCase();
+  const name = slugify(typeof source === "string" ? source : source.name);
+  // A muted domain ("dailymail.co.uk") covers the site's URLs
+  if (muted.includes(".")) {
+    const host = hostnameOf(article.url);
+    if (host === muted || host.endsWith(`.${muted}`)) return true;
+  }
+  return id === muted || (name !== "" && name === slugify(muted));
+}
+
+// Why an article is muted ("keyword", "source" or "person"), or null
+function mutedBy(mutes, article) {
+  if (!mutes || mutes.empty || !article) return null;
+  if (mutes.sources.some((s) => sourceMatches(s, article))) return "source";
+  const text = `${article.title || ""} ${article.description || ""}`;
+  if (mutes.people.some((re) => re.test(text))) return "person";
+  if (mutes.keywords.some((re) => re.test(text))) return "keyword";
+  return null;
+}
+
+function isMuted(mutes, article) {
+  return mutedBy(mutes, article) !== null;
+}
+
+module.exports = {
+  MUTE_TYPES,
+  MAX_MUTES_PER_TYPE,
+  validateMute,
+  compileMuteList,
+  userMuteList,
+  mutedBy,
+  isMuted,
+};
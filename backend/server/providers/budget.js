@@ -0,0 +1,111 @@
+// backend/server/providers/budget.js
+// Daily outbound-request budget for a metered news provider. Counts calls per
+// UTC day and reports a budget level the fetch pipeline uses to degrade
+// gracefully as the plan's daily limit approaches:
+//
+//   normal    - more than half of the budget left
+//   low       - half or less left: fewer variety windows, longer cache TTLs
+//   critical  - 15% or less left: top headlines only, one call per topic
+//   exhausted - nothing left: no calls, serve fallback provider or cached results
+
+const cache = require("../cache");
+
+const LOW_WATERMARK = 0.5;
+const CRITICAL_WATERMARK = 0.15;
+
+class RequestBudget {
+  constructor(name, dailyLimit) {
+    this.name = name;
+    this.dailyLimit = Math.max(Number(dailyLimit) || 0, 0);
+    this.date = this.today();
+    this.used = 0;
+    this.exhaustedByProvider = false; // provider itself told us its quota is used up
+    this.loading = this.load();
+  }
+
+  // Resolves once today's saved count is restored; wait for it before the
+  // first level() or record()
+  ready() {
+    return this.loading;
+  }
+
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  cacheKey() {
+    return `budget:${this.name}:${this.date}`;
+  }
+
+  // Restore today's count so restarts don't reset the budget
+  async load() {
+    const saved = await cache.get(this.cacheKey()).catch(() => null);
+    if (saved && Number.isFinite(saved.used) && saved.used > this.used) {
+      this.used = saved.used;
+      this.exhaustedByProvider = !!saved.exhaustedByProvider;
+    }
+  }
+
+  persist() {
+    cache.set(this.cacheKey(), { used: this.used, exhaustedByProvider: this.exhaustedByProvider }, 2 * 24 * 60 * 60);
+  }
+
+  rollover() {
+    const today = this.today();
+    if (today !== this.date) {
+      this.date = today;
+      this.used = 0;
+      this.exhaustedByProvider = false;
+    }
+  }
+
+  record(count = 1) {
+    this.rollover();
+    this.used += count;
+    this.persist();
+  }
+
+  markExhausted() {
+    this.rollover();
+    this.exhaustedByProvider = true;
+    this.persist();
+  }
+
+  remaining() {
+    this.rollover();
+    if (this.exhaustedByProvider) return 0;
+    return Math.max(this.dailyLimit - this.used, 0);
+  }
+
+  canSpend(count = 1) {
+    return this.remaining() >= count;
+  }
+
+  level() {
+    const remaining = this.remaining();
+    if (remaining <= 0) return "exhausted";
+    const ratio = this.dailyLimit > 0 ? remaining / this.dailyLimit : 0;
+    if (ratio <= CRITICAL_WATERMARK) return "critical";
+    if (ratio <= LOW_WATERMARK) return "low";
+    return "normal";
+  }
+
+  exhaustedError() {
+    const error = new Error(`${this.name} daily request budget exhausted (${this.used}/${this.dailyLimit})`);
+    error.code = "QUOTA_EXCEEDED";
+    return error;
+  }
+
+  getUsage() {
+    return {
+      provider: this.name,
+      date: this.date,
+      used: this.used,
+      limit: this.dailyLimit,
+      remaining: this.remaining(),
+      level: this.level(),
+    };
+  }
+}
+
+module.exports = RequestBudget;
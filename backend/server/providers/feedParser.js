@@ -0,0 +1,203 @@
+// backend/server/providers/feedParser.js
+// Minimal RSS 2.0 / Atom parser. Feeds are parsed with regular expressions
+// rather than a full XML parser: we only need a handful of well-known tags
+// and publishers' markup is too inconsistent for a strict parser anyway.
+
+const crypto = require("crypto");
+const cache = require("../cache");
+const { replayable, isRecording } = require("../replay");
+const { readLimited, fetchPublic } = require("../safeFetch");
+
+const FEED_TIMEOUT_MS = 10000;
+const MAX_FEED_BYTES = 2 * 1024 * 1024;
+const FEED_CACHE_SECONDS = 600;
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  hellip: "…",
+  mdash: "—",
+  ndash: "–",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+};
+
+function decodeEntities(text) {
+  return String(text || "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1] === "x" || entity[1] === "X"
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+function unwrapCdata(text) {
+  return String(text || "").replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1");
+}
+
+function stripTags(html) {
+  return String(html || "")
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function escapeTagName(name) {
+  return name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Raw inner markup of the first matching tag, CDATA unwrapped
+function readTag(block, names) {
+  for (const name of names) {
+    const re = new RegExp(`<${escapeTagName(name)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeTagName(name)}>`, "i");
+    const match = block.match(re);
+    if (match) return unwrapCdata(match[1]).trim();
+  }
+  return "";
+}
+
+// Plain-text value of the first matching tag
+function readText(block, names) {
+  return decodeEntities(stripTags(decodeEntities(readTag(block, names))));
+}
+
+function readAttributes(tag) {
+  const attrs = {};
+  const re = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = re.exec(tag)) !== null) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attrs;
+}
+
+function findTags(block, name) {
+  const re = new RegExp(`<${escapeTagName(name)}\\b[^>]*>`, "gi");
+  return (block.match(re) || []).map(readAttributes);
+}
+
+function readLink(block) {
+  // Atom: <link rel="alternate" href="..."/>
+  const atomLinks = findTags(block, "link").filter((attrs) => attrs.href);
+  const alternate = atomLinks.find((attrs) => !attrs.rel || attrs.rel === "alternate");
+  if (alternate) return alternate.href;
+  // RSS: <link>...</link>, falling back to a permalink guid
+  const link = readText(block, ["link"]);
+  if (link) return link;
+  const guid = readText(block, ["guid"]);
+  return /^https?:\/\//i.test(guid) ? guid : "";
+}
+
+function readImage(block) {
+  for (const name of ["media:content", "media:thumbnail"]) {
+    const media = findTags(block, name).find((attrs) => attrs.url && (!attrs.medium || attrs.medium === "image"));
+    if (media) return media.url;
+  }
+  const enclosure = findTags(block, "enclosure").find((attrs) => attrs.url && /^image\//i.test(attrs.type || ""));
+  if (enclosure) return enclosure.url;
+  const html = decodeEntities(readTag(block, ["content:encoded", "content", "description", "summary"]));
+  const img = html.match(/<img[^>]+src=["']([^"']+)["']/i);
+  return img ? img[1] : "";
+}
+
+function readDate(block) {
+  const raw = readText(block, ["pubDate", "published", "updated", "dc:date"]);
+  const date = raw ? new Date(raw) : null;
+  return date && Number.isFinite(date.getTime()) ? date.toISOString() : "";
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+// Stable source ID for a feed URL
+function feedSourceId(feedUrl, prefix = "rss") {
+  const hash = crypto.createHash("md5").update(String(feedUrl)).digest("hex").slice(0, 8);
+  return `${prefix}-${hash}`;
+}
+
+// Parse a feed document into { title, link, articles } where each article has
+// the NewsAPI shape used across providers
+function parseFeed(xml, { feedUrl = "", sourceId, sourceName } = {}) {
+  const text = String(xml || "");
+  const isAtom = /<feed\b/i.test(text) && !/<rss\b/i.test(text);
+  const itemTag = isAtom ? "entry" : "item";
+
+  // Channel metadata lives before the first item
+  const firstItem = text.search(new RegExp(`<${itemTag}\\b`, "i"));
+  const head = firstItem >= 0 ? text.slice(0, firstItem) : text;
+  const title = readText(head, ["title"]) || hostnameOf(feedUrl);
+  const link = readLink(head) || feedUrl;
+
+  const source = {
+    id: sourceId || feedSourceId(feedUrl),
+    name: sourceName || title,
+  };
+
+  const itemRe = new RegExp(`<${itemTag}\\b[^>]*>([\\s\\S]*?)</${itemTag}>`, "gi");
+  const articles = [];
+  let match;
+  while ((match = itemRe.exec(text)) !== null) {
+    const block = match[1];
+    const articleTitle = readText(block, ["title"]);
+    const url = readLink(block);
+    if (!articleTitle || !url) continue;
+    articles.push({
+      source: { ...source },
+      title: articleTitle,
+      description: readText(block, ["description", "summary", "content:encoded", "content"]).slice(0, 500),
+      url,
+      urlToImage: readImage(block),
+      publishedAt: readDate(block),
+    });
+  }
+
+  return { title, link, articles };
+}
+
+// Fetch and parse a feed, caching the parsed result for a few minutes.
+// `force` skips the cache read (used by background polling, and implied while
+// recording replay fixtures). Feed URLs may be
+// user-supplied, so private hosts are refused and the body is size-capped.
+async function fetchFeed(feedUrl, { force = false, ...options } = {}) {
+  const cacheKey = `feed:${feedUrl}`;
+  const cached = force || isRecording() ? null : await cache.get(cacheKey);
+  if (cached) return cached;
+
+  const xml = await replayable("feeds", "feed", { url: feedUrl }, async () => {
+    const resp = await fetchPublic(feedUrl, {
+      headers: { Accept: "application/rss+xml, application/atom+xml, application/xml, text/xml" },
+      timeoutMs: FEED_TIMEOUT_MS,
+    });
+    if (!resp.ok) {
+      throw new Error(`Feed error: ${resp.status} ${feedUrl}`);
+    }
+    return (await readLimited(resp, MAX_FEED_BYTES)).toString("utf8");
+  }, { encoding: "text" });
+  const parsed = parseFeed(xml, { feedUrl, ...options });
+  await cache.set(cacheKey, parsed, FEED_CACHE_SECONDS);
+  return parsed;
+}
+
+module.exports = {
+  parseFeed,
+  fetchFeed,
+  feedSourceId,
+  stripTags,
+  decodeEntities,
+};
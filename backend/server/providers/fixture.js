@@ -0,0 +1,66 @@
+// backend/server/providers/fixture.js
+// File-backed adapter for offline development and tests. Reads a JSON file
+// of the form { sources: [...], articles: [...] } where each article is in
+// NewsAPI shape plus an optional `category`. Date windows are ignored so the
+// same fixture keeps producing the same briefings.
+
+const fs = require("fs");
+const path = require("path");
+const { clampPageSize, filterByQuery, filterBySources, filterByDomains } = require("./util");
+
+const DEFAULT_FIXTURE_FILE = path.join(__dirname, "../fixtures/news.json");
+
+let loaded = null; // { file, mtimeMs, data }
+
+function getFixtureFile() {
+  return process.env.NEWS_FIXTURE_FILE || DEFAULT_FIXTURE_FILE;
+}
+
+function loadFixture() {
+  const file = getFixtureFile();
+  const stat = fs.statSync(file);
+  if (!loaded || loaded.file !== file || loaded.mtimeMs !== stat.mtimeMs) {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    loaded = {
+      file,
+      mtimeMs: stat.mtimeMs,
+      data: {
+        sources: Array.isArray(data.sources) ? data.sources : [],
+        articles: Array.isArray(data.articles) ? data.articles : [],
+      },
+    };
+  }
+  return loaded.data;
+}
+
+const fixtureProvider = {
+  name: "fixture",
+  querySyntax: "keywords",
+  maxSourcesPerQuery: 50,
+
+  isConfigured() {
+    return fs.existsSync(getFixtureFile());
+  },
+
+  async search({ query, sources = [], domains, excludeDomains, pageSize } = {}) {
+    const { articles } = loadFixture();
+    const matches = filterByDomains(filterBySources(articles, sources), domains, excludeDomains);
+    return filterByQuery(matches, query).slice(0, clampPageSize(pageSize));
+  },
+
+  async topHeadlines({ category, query, sources = [], pageSize } = {}) {
+    const { articles } = loadFixture();
+    let matches = filterBySources(articles, sources);
+    if (sources.length === 0 && category && category !== "general") {
+      matches = matches.filter((a) => a.category === category);
+    }
+    return filterByQuery(matches, query).slice(0, clampPageSize(pageSize));
+  },
+
+  async listSources({ language, category } = {}) {
+    const { sources } = loadFixture();
+    return sources.filter((s) => (!language || !s.language || s.language === language) && (!category || s.category === category));
+  },
+};
+
+module.exports = fixtureProvider;
@@ -0,0 +1,83 @@
+// backend/server/providers/index.js
+// News provider registry. Every provider implements the same interface:
+//
+//   name                      - registry key
+//   querySyntax               - "newsapi" (boolean AND/OR/NOT queries) or "keywords"
+//   budget                    - optional RequestBudget for metered providers
+//   countries                 - optional lower-case country codes topHeadlines can filter
+//                               on (any country when omitted)
+//   maxSourcesPerQuery        - optional number of sources one search can filter on
+//                               (one source per search when omitted)
+//   isConfigured()            - whether the provider can serve requests
+//   search(params)            - { query, sources, domains, excludeDomains, from, language, pageSize }
+//   topHeadlines(params)      - { category, country, query, sources, pageSize }
+//   listSources(params)       - { language, category, country }
+//
+// search/topHeadlines resolve to NewsAPI-shaped articles
+// ({ source: { id, name }, title, description, url, urlToImage, publishedAt })
+// and listSources to NewsAPI-shaped source objects.
+//
+// Configuration:
+//   NEWS_PROVIDER            - deployment default (newsapi | rss | fixture), default "newsapi"
+//   NEWS_PROVIDER_TOPICS     - per-topic overrides, e.g. "technology:rss,local:newsapi"
+//   NEWS_PROVIDER_FALLBACK   - provider to retry with when the primary one fails
+
+const newsapiProvider = require("./newsapi");
+const rssProvider = require("./rss");
+const fixtureProvider = require("./fixture");
+
+const PROVIDERS = {
+  [newsapiProvider.name]: newsapiProvider,
+  [rssProvider.name]: rssProvider,
+  [fixtureProvider.name]: fixtureProvider,
+};
+
+const DEFAULT_PROVIDER = "newsapi";
+
+function getProvider(name) {
+  const key = String(name || process.env.NEWS_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const provider = PROVIDERS[key];
+  if (!provider) {
+    console.warn(`Unknown news provider "${key}", using ${DEFAULT_PROVIDER}`);
+    return PROVIDERS[DEFAULT_PROVIDER];
+  }
+  return provider;
+}
+
+function getTopicOverrides() {
+  const overrides = {};
+  for (const entry of String(process.env.NEWS_PROVIDER_TOPICS || "").split(",")) {
+    const [topic, provider] = entry.split(":").map((s) => s && s.trim().toLowerCase());
+    if (topic && provider) overrides[topic] = provider;
+  }
+  return overrides;
+}
+
+function getProviderForTopic(topic) {
+  const override = getTopicOverrides()[String(topic || "").toLowerCase()];
+  return getProvider(override);
+}
+
+// Provider to retry with when `provider` fails, or null
+function getFallbackProvider(provider) {
+  const name = process.env.NEWS_PROVIDER_FALLBACK;
+  if (!name) return null;
+  const fallback = getProvider(name);
+  return fallback !== provider && fallback.isConfigured() ? fallback : null;
+}
+
+// Budget level of a metered provider ("normal" for unmetered ones), once its
+// saved count is loaded (see budget.js)
+async function budgetLevel(provider) {
+  if (!provider.budget) return "normal";
+  await provider.budget.ready();
+  return provider.budget.level();
+}
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  getProviderForTopic,
+  getFallbackProvider,
+  budgetLevel,
+};
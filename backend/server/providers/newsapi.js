@@ -0,0 +1,128 @@
+// backend/server/providers/newsapi.js
+// NewsAPI.org adapter. Returns articles in NewsAPI's own shape, which is the
+// raw shape every provider adapter produces for fetchArticlesForTopic.
+
+const { clampPageSize } = require("./util");
+const RequestBudget = require("./budget");
+const { replayable, isReplaying } = require("../replay");
+const { callUpstream, parseRetryAfter } = require("../resilience");
+
+const NEWSAPI_BASE_URL = "https://newsapi.org/v2";
+const REQUEST_TIMEOUT_MS = 10000;
+
+// NewsAPI plans are metered per day (the free developer plan allows 100 requests)
+const budget = new RequestBudget("newsapi", Number(process.env.NEWSAPI_DAILY_LIMIT) || 100);
+
+// Countries /v2/top-headlines accepts
+const HEADLINE_COUNTRIES = [
+  "ae", "ar", "at", "au", "be", "bg", "br", "ca", "ch", "cn", "co", "cu", "cz", "de", "eg", "fr", "gb", "gr",
+  "hk", "hu", "id", "ie", "il", "in", "it", "jp", "kr", "lt", "lv", "ma", "mx", "my", "ng", "nl", "no", "nz",
+  "ph", "pl", "pt", "ro", "rs", "ru", "sa", "se", "sg", "si", "sk", "th", "tr", "tw", "ua", "us", "ve", "za",
+];
+
+function getApiKey() {
+  return process.env.NEWSAPI_KEY || "";
+}
+
+async function request(endpoint, params) {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null || value === "") continue;
+    search.set(key, String(value));
+  }
+  // `from` is relative to today, so it's left out of the replay key
+  const { from, ...replayKey } = Object.fromEntries(search);
+  return replayable("newsapi", endpoint, replayKey, async () => {
+    await budget.ready();
+    const url = `${NEWSAPI_BASE_URL}/${endpoint}?${search.toString()}`;
+    // Transient failures are retried and trip the NewsAPI circuit breaker (see resilience.js).
+    // NewsAPI charges every attempt, so each retry is checked against the budget and counted.
+    return callUpstream("newsapi", async () => {
+      if (!budget.canSpend()) {
+        throw budget.exhaustedError();
+      }
+      console.log(`NewsAPI request: ${url}`);
+      budget.record();
+      const resp = await fetch(url, {
+        headers: { Authorization: `Bearer ${getApiKey()}` },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      if (!resp.ok) {
+        const text = await resp.text().catch(() => "");
+        if (resp.status === 429 && isQuotaUsedUp(text)) {
+          budget.markExhausted();
+          throw budget.exhaustedError();
+        }
+        const error = new Error(`NewsAPI error: ${resp.status} ${text}`);
+        error.status = resp.status;
+        error.retryAfterMs = parseRetryAfter(resp.headers.get("retry-after"));
+        throw error;
+      }
+      return resp.json();
+    });
+  });
+}
+
+// NewsAPI answers 429 for short bursts as well as once the plan's quota is
+// used up. Only a "rateLimited" error that is about the daily allowance, or
+// that arrives when our own count is already near the limit, ends the day;
+// any other 429 is retried like a transient failure.
+function isQuotaUsedUp(body) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch {
+    return false;
+  }
+  if (data?.code !== "rateLimited") return false;
+  return /24 hour|per day|daily/i.test(String(data.message || "")) || budget.level() === "critical";
+}
+
+const newsapiProvider = {
+  name: "newsapi",
+  querySyntax: "newsapi",
+  budget,
+  countries: HEADLINE_COUNTRIES,
+  maxSourcesPerQuery: 20,
+
+  isConfigured() {
+    return !!getApiKey() || isReplaying();
+  },
+
+  // Full-text search across all indexed articles (/v2/everything)
+  async search({ query, sources = [], domains = [], excludeDomains = [], from, language = "en", sortBy = "publishedAt", pageSize } = {}) {
+    const data = await request("everything", {
+      q: query,
+      sources: sources.length > 0 ? sources.join(",") : undefined,
+      domains: domains.length > 0 ? domains.join(",") : undefined,
+      excludeDomains: excludeDomains.length > 0 ? excludeDomains.join(",") : undefined,
+      from,
+      language,
+      sortBy,
+      pageSize: clampPageSize(pageSize),
+    });
+    return Array.isArray(data.articles) ? data.articles : [];
+  },
+
+  // Top headlines (/v2/top-headlines)
+  async topHeadlines({ category, country, query, sources = [], pageSize } = {}) {
+    const params = { q: query, pageSize: clampPageSize(pageSize) };
+    // NewsAPI doesn't allow mixing sources with category/country parameters
+    if (sources.length > 0) {
+      params.sources = sources.join(",");
+    } else {
+      params.category = category;
+      params.country = country ? String(country).toLowerCase() : undefined;
+    }
+    const data = await request("top-headlines", params);
+    return Array.isArray(data.articles) ? data.articles : [];
+  },
+
+  // Source catalog (/v2/top-headlines/sources)
+  async listSources({ language = "en", category, country } = {}) {
+    const data = await request("top-headlines/sources", { language, category, country });
+    return Array.isArray(data.sources) ? data.sources : [];
+  },
+};
+
+module.exports = newsapiProvider;
@@ -0,0 +1,112 @@
+// backend/server/providers/rss.js
+// RSS/Atom adapter. Feeds are configured per category; search and headlines
+// are answered by filtering the parsed feed items locally.
+
+const { fetchFeed, feedSourceId } = require("./feedParser");
+const { clampPageSize, filterByQuery, filterBySources, filterByDomains, filterByDate } = require("./util");
+
+// Used when RSS_FEEDS is not set. Keys mirror the NewsAPI categories.
+const DEFAULT_FEEDS = {
+  general: ["https://feeds.bbci.co.uk/news/rss.xml"],
+  world: ["https://feeds.bbci.co.uk/news/world/rss.xml"],
+  business: ["https://feeds.bbci.co.uk/news/business/rss.xml"],
+  technology: ["https://feeds.bbci.co.uk/news/technology/rss.xml"],
+  science: ["https://feeds.bbci.co.uk/news/science_and_environment/rss.xml"],
+  health: ["https://feeds.bbci.co.uk/news/health/rss.xml"],
+  entertainment: ["https://feeds.bbci.co.uk/news/entertainment_and_arts/rss.xml"],
+  sports: ["https://feeds.bbci.co.uk/sport/rss.xml"],
+};
+
+// RSS_FEEDS is a JSON object of category -> feed URL(s), e.g.
+// {"general": ["https://example.com/rss"], "technology": "https://example.com/tech.xml"}
+function getFeedConfig() {
+  const raw = process.env.RSS_FEEDS;
+  if (!raw) return DEFAULT_FEEDS;
+  try {
+    const parsed = JSON.parse(raw);
+    const config = {};
+    for (const [category, urls] of Object.entries(parsed || {})) {
+      config[category.toLowerCase()] = (Array.isArray(urls) ? urls : [urls]).filter(Boolean);
+    }
+    return config;
+  } catch (error) {
+    console.error("Invalid RSS_FEEDS configuration, using default feeds:", error.message);
+    return DEFAULT_FEEDS;
+  }
+}
+
+function allFeedUrls(config) {
+  return [...new Set(Object.values(config).flat())];
+}
+
+async function fetchFeeds(feedUrls) {
+  const results = await Promise.allSettled(feedUrls.map((url) => fetchFeed(url)));
+  const articles = [];
+  results.forEach((result, idx) => {
+    if (result.status === "fulfilled") {
+      articles.push(...result.value.articles);
+    } else {
+      console.warn(`RSS feed failed (${feedUrls[idx]}): ${result.reason?.message || result.reason}`);
+    }
+  });
+  return articles;
+}
+
+function feedsForSources(config, sources) {
+  return allFeedUrls(config).filter((url) => sources.includes(feedSourceId(url)));
+}
+
+const rssProvider = {
+  name: "rss",
+  querySyntax: "keywords",
+  maxSourcesPerQuery: 50,
+
+  isConfigured() {
+    return allFeedUrls(getFeedConfig()).length > 0;
+  },
+
+  async search({ query, sources = [], domains, excludeDomains, from, pageSize } = {}) {
+    const config = getFeedConfig();
+    const feedUrls = sources.length > 0 ? feedsForSources(config, sources) : allFeedUrls(config);
+    const articles = filterByDomains(filterByDate(await fetchFeeds(feedUrls), from), domains, excludeDomains);
+    return filterByQuery(articles, query).slice(0, clampPageSize(pageSize));
+  },
+
+  async topHeadlines({ category, query, sources = [], pageSize } = {}) {
+    const config = getFeedConfig();
+    let feedUrls;
+    if (sources.length > 0) {
+      feedUrls = feedsForSources(config, sources);
+    } else {
+      feedUrls = config[String(category || "general").toLowerCase()] || config.general || allFeedUrls(config);
+    }
+    const articles = filterBySources(await fetchFeeds(feedUrls), sources);
+    return filterByQuery(articles, query).slice(0, clampPageSize(pageSize));
+  },
+
+  async listSources({ category } = {}) {
+    const config = getFeedConfig();
+    const sources = [];
+    for (const [feedCategory, urls] of Object.entries(config)) {
+      if (category && feedCategory !== category) continue;
+      for (const url of urls) {
+        let name = url;
+        try {
+          name = new URL(url).hostname.replace(/^www\./, "");
+        } catch {}
+        sources.push({
+          id: feedSourceId(url),
+          name,
+          description: `RSS feed: ${url}`,
+          url,
+          category: feedCategory,
+          language: "en",
+          country: "",
+        });
+      }
+    }
+    return sources;
+  },
+};
+
+module.exports = rssProvider;
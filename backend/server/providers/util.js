@@ -0,0 +1,140 @@
+// backend/server/providers/util.js
+// Helpers shared by the providers that filter articles locally (RSS, fixtures)
+// instead of delegating the search to a remote API.
+
+const { extractEntities } = require("../entities");
+
+function clampPageSize(pageSize) {
+  return Math.min(Math.max(Number(pageSize) || 5, 1), 50);
+}
+
+// Turn a NewsAPI-style query ("title:Austin", "\"New York\"", "ai chips")
+// into lowercase search tokens
+function queryTokens(query) {
+  return String(query || "")
+    .toLowerCase()
+    .replace(/\b(title|description|content):/g, " ")
+    .split(/[^a-z0-9]+/i)
+    .filter((t) => t.length >= 3);
+}
+
+// Number of query tokens found in an article's title/description
+function scoreArticle(article, tokens) {
+  const text = `${article.title || ""} ${article.description || ""}`.toLowerCase();
+  let score = 0;
+  for (const token of tokens) {
+    if (text.includes(token)) score += 1;
+  }
+  return score;
+}
+
+function byNewest(a, b) {
+  return String(b.publishedAt || "").localeCompare(String(a.publishedAt || ""));
+}
+
+// Keep articles matching at least one token, best matches (then newest) first.
+// An empty query matches everything.
+function filterByQuery(articles, query) {
+  const tokens = queryTokens(query);
+  if (tokens.length === 0) return [...articles].sort(byNewest);
+  return articles
+    .map((article) => ({ article, score: scoreArticle(article, tokens) }))
+    .filter(({ score }) => score > 0)
+    .sort((x, y) => y.score - x.score || byNewest(x.article, y.article))
+    .map(({ article }) => article);
+}
+
+function filterBySources(articles, sources) {
+  if (!sources || sources.length === 0) return articles;
+  const wanted = new Set(sources);
+  return articles.filter((a) => wanted.has(a.source?.id));
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|dclid|mc_cid|mc_eid|igshid|ocid|cmpid|smid|ref|ref_src|taid|at_medium|at_campaign)$/i;
+
+// Canonical form of an article URL: https, no "www.", no tracking parameters,
+// no fragment and no trailing slash. Unparseable URLs are returned trimmed.
+function canonicalizeUrl(url) {
+  const raw = String(url || "").trim();
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch {
+    return raw;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return raw;
+
+  parsed.protocol = "https:";
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  parsed.hash = "";
+  parsed.port = "";
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+  }
+  parsed.searchParams.sort();
+  const path = parsed.pathname.replace(/\/+$/, "") || "";
+  const query = parsed.searchParams.toString();
+  return `https://${parsed.hostname}${path}${query ? `?${query}` : ""}`;
+}
+
+function matchesDomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+// Keep articles from `domains` (if any) and drop those from `excludeDomains`
+function filterByDomains(articles, domains = [], excludeDomains = []) {
+  if ((!domains || domains.length === 0) && (!excludeDomains || excludeDomains.length === 0)) return articles;
+  return articles.filter((a) => {
+    const host = hostnameOf(a.url);
+    if (domains && domains.length > 0 && !domains.some((d) => matchesDomain(host, d))) return false;
+    return !(excludeDomains || []).some((d) => matchesDomain(host, d));
+  });
+}
+
+function filterByDate(articles, from) {
+  if (!from) return articles;
+  const fromTime = new Date(from).getTime();
+  if (!Number.isFinite(fromTime)) return articles;
+  return articles.filter((a) => {
+    const published = new Date(a.publishedAt).getTime();
+    return !Number.isFinite(published) || published >= fromTime;
+  });
+}
+
+// Normalized article shape handed to the summarize pipeline, tagged with the
+// people, organizations and locations it mentions (and, when known, the
+// provider call it came from)
+function normalizeArticle(a) {
+  const article = {
+    title: a.title || "",
+    description: a.description || "",
+    url: a.url || "",
+    source: (a.source && a.source.name) || "",
+    publishedAt: a.publishedAt || "",
+    urlToImage: a.urlToImage || "",
+  };
+  article.entities = extractEntities(article);
+  if (a.provenance) article.provenance = a.provenance;
+  return article;
+}
+
+module.exports = {
+  clampPageSize,
+  normalizeArticle,
+  hostnameOf,
+  canonicalizeUrl,
+  queryTokens,
+  filterByQuery,
+  filterBySources,
+  filterByDomains,
+  filterByDate,
+};
@@ -0,0 +1,136 @@
+// backend/server/ranking.js
+// Relevance ranking for topic searches. Articles are scored with BM25 over
+// their title, description and extracted body text (when they carry one),
+// with the title weighted highest:
+//
+//   - each query term scores by how often it occurs (saturating, and
+//     normalized for article length) and how rare it is among the candidates
+//   - multi-word terms ("climate change") score per word, and get a boost
+//     when the exact phrase occurs
+//   - a recency decay (half-life RELEVANCE_HALF_LIFE_HOURS) tips the order
+//     toward fresher coverage without outweighing relevance
+//
+// Words are compared lowercased, with plural endings stripped.
+
+const K1 = 1.2; // term frequency saturation
+const B = 0.75; // length normalization
+const FIELD_WEIGHTS = { title: 3, description: 1, body: 0.5 };
+const PHRASE_BOOST = 1.5;
+const HALF_LIFE_HOURS = Number(process.env.RELEVANCE_HALF_LIFE_HOURS) || 24;
+const RECENCY_SHARE = 0.3; // at most this much of a score depends on age
+// Articles scoring under this share of the best match are dropped
+const RELEVANCE_FLOOR = process.env.RELEVANCE_FLOOR && Number.isFinite(Number(process.env.RELEVANCE_FLOOR))
+  ? Math.min(1, Math.max(0, Number(process.env.RELEVANCE_FLOOR)))
+  : 0.25;
+
+function stem(token) {
+  if (token.length > 4 && token.endsWith("ies")) return `${token.slice(0, -3)}y`;
+  if (token.length > 3 && token.endsWith("s") && !/(ss|us|is)$/.test(token)) return token.slice(0, -1);
+  return token;
+}
+
+function tokenize(text) {
+  return (String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+}
+
+function countTokens(tokens) {
+  const counts = new Map();
+  for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+  return counts;
+}
+
+function hasSequence(tokens, sequence) {
+  for (let i = 0; i + sequence.length <= tokens.length; i++) {
+    if (sequence.every((t, k) => tokens[i + k] === t)) return true;
+  }
+  return false;
+}
+
+function indexArticle(article) {
+  const fields = {
+    title: tokenize(article.title),
+    description: tokenize(article.description),
+    body: tokenize(article.bodyExcerpt || article.content),
+  };
+  const counts = {};
+  let length = 0;
+  for (const [field, tokens] of Object.entries(fields)) {
+    counts[field] = countTokens(tokens);
+    length += tokens.length * FIELD_WEIGHTS[field];
+  }
+  return { fields, counts, length };
+}
+
+// Field-weighted occurrences of a word
+function termFrequency(doc, token) {
+  let tf = 0;
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    tf += (doc.counts[field].get(token) || 0) * FIELD_WEIGHTS[field];
+  }
+  return tf;
+}
+
+function hasPhrase(doc, tokens) {
+  return Object.values(doc.fields).some((fieldTokens) => hasSequence(fieldTokens, tokens));
+}
+
+// 1 for a fresh article, falling toward 1 - RECENCY_SHARE with age
+function recencyFactor(article, now) {
+  const published = new Date(article.publishedAt).getTime();
+  const ageHours = Number.isFinite(published) ? Math.max(0, now - published) / 3600000 : Infinity;
+  const decay = Math.pow(0.5, ageHours / HALF_LIFE_HOURS);
+  return 1 - RECENCY_SHARE + RECENCY_SHARE * decay;
+}
+
+// Rank `articles` against `terms`: [{ text, weight = 1, boost = false }].
+// Boost terms (e.g. the listener's city) add to the score but don't count as
+// mentioning the topic. Returns [{ article, score, matched }] sorted by
+// score, best first, where `matched` lists the topic terms the article hit;
+// ties keep the input order.
+function rankArticles(articles, terms, { now = Date.now() } = {}) {
+  const query = terms
+    .map(({ text, weight = 1, boost = false }) => ({ text, weight, boost, tokens: tokenize(text) }))
+    .filter((term) => term.tokens.length > 0);
+  const docs = articles.map(indexArticle);
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1) || 1;
+
+  const idf = new Map();
+  for (const token of new Set(query.flatMap((term) => term.tokens))) {
+    const df = docs.filter((doc) => termFrequency(doc, token) > 0).length;
+    idf.set(token, Math.log(1 + (docs.length - df + 0.5) / (df + 0.5)));
+  }
+
+  return docs
+    .map((doc, index) => {
+      let score = 0;
+      const matched = [];
+      for (const term of query) {
+        let termScore = 0;
+        for (const token of term.tokens) {
+          const tf = termFrequency(doc, token);
+          if (tf === 0) continue;
+          termScore += idf.get(token) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+        }
+        if (termScore === 0) continue;
+        if (term.tokens.length > 1 && hasPhrase(doc, term.tokens)) termScore *= PHRASE_BOOST;
+        score += term.weight * termScore;
+        if (!term.boost) matched.push(term.text);
+      }
+      return { article: articles[index], score: score * recencyFactor(articles[index], now), matched, index };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ index, ...ranked }) => ranked);
+}
+
+// Ranked articles that mention the topic and score at least `floor` of the best one
+function aboveRelevanceFloor(ranked, floor = RELEVANCE_FLOOR) {
+  const mentioning = ranked.filter((r) => r.matched.length > 0);
+  const best = mentioning.length > 0 ? mentioning[0].score : 0;
+  return mentioning.filter((r) => r.score >= best * floor);
+}
+
+module.exports = {
+  RELEVANCE_FLOOR,
+  rankArticles,
+  aboveRelevanceFloor,
+};
@@ -0,0 +1,123 @@
+// backend/server/replay.js
+// Record/replay of outbound calls, so the whole briefing pipeline (news
+// provider, article pages, feeds, summaries and TTS) can run on a machine
+// without network access or API keys.
+//
+//   REPLAY_MODE=record   calls go out as usual and every successful response
+//                        is saved as a fixture file under REPLAY_DIR
+//                        (server/fixtures/replay by default, kept out of git).
+//                        Callers skip their own cache reads for recorded
+//                        calls (see isRecording) so every call reaches here.
+//   REPLAY_MODE=replay   calls never leave the machine: responses come from
+//                        the fixture files, and a call that was never recorded
+//                        fails with a ReplayMissError naming the missing file
+//   REPLAY_MODE=off      (default) calls go out and nothing is saved
+//
+// Fixtures are keyed by service, operation and request parameters, so the
+// same request replays the same response. Volatile parameters (like NewsAPI's
+// relative `from` date) must be left out of the key by the caller.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MODES = new Set(["off", "record", "replay"]);
+const DEFAULT_REPLAY_DIR = path.join(__dirname, "fixtures/replay");
+
+class ReplayMissError extends Error {
+  constructor(service, operation, file) {
+    super(`No recorded ${service} response for ${operation} (expected ${file})`);
+    this.name = "ReplayMissError";
+    this.file = file;
+  }
+}
+
+function replayMode() {
+  const mode = String(process.env.REPLAY_MODE || "off").toLowerCase();
+  return MODES.has(mode) ? mode : "off";
+}
+
+function isReplaying() {
+  return replayMode() === "replay";
+}
+
+function isRecording() {
+  return replayMode() === "record";
+}
+
+function getReplayDir() {
+  return process.env.REPLAY_DIR || DEFAULT_REPLAY_DIR;
+}
+
+// JSON with sorted object keys, so parameter order doesn't change the key
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function fixtureFile(service, operation, request) {
+  const hash = crypto.createHash("sha1").update(stableStringify(request)).digest("hex").slice(0, 16);
+  const slug = String(operation).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  return path.join(getReplayDir(), service, `${slug}-${hash}.json`);
+}
+
+function encode(response, encoding) {
+  if (encoding === "binary") return Buffer.from(response).toString("base64");
+  return response;
+}
+
+function decode(body, encoding) {
+  if (encoding === "binary") return Buffer.from(body, "base64");
+  return body;
+}
+
+// Run an outbound call through record/replay. `perform` makes the real call
+// and resolves to the response: a JSON-serializable value, a string
+// (encoding "text") or a Buffer (encoding "binary").
+async function replayable(service, operation, request, perform, { encoding = "json" } = {}) {
+  const mode = replayMode();
+  if (mode === "off") return perform();
+
+  const file = fixtureFile(service, operation, request);
+  if (mode === "replay") {
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") throw new ReplayMissError(service, operation, file);
+      throw error;
+    }
+    return decode(fixture.response, fixture.encoding || encoding);
+  }
+
+  const response = await perform();
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      service,
+      operation,
+      request,
+      encoding,
+      recordedAt: new Date().toISOString(),
+      response: encode(response, encoding),
+    }, null, 2));
+  } catch (error) {
+    console.error(`Failed to record ${service} ${operation}:`, error.message);
+  }
+  return response;
+}
+
+module.exports = {
+  ReplayMissError,
+  replayMode,
+  isReplaying,
+  isRecording,
+  replayable,
+};
@@ -0,0 +1,209 @@
+// backend/server/resilience.js
+// Shared resilience layer for upstream providers (NewsAPI, OpenAI):
+//
+//   - transient failures (network errors, timeouts, 408/425/429/5xx) are
+//     retried with exponential backoff and full jitter, waiting at least as
+//     long as the provider's Retry-After asks
+//   - each provider has a circuit breaker: after BREAKER_FAILURE_THRESHOLD
+//     consecutive transient failures it opens and calls fail fast with a
+//     CircuitOpenError, so callers can serve cached or degraded output; after
+//     BREAKER_COOLDOWN_MS one trial call is let through (half-open) and closes
+//     the breaker again if it succeeds
+//
+// Client errors (bad request, auth, exhausted quota) are neither retried nor
+// counted against the provider. Breaker states are reported on /api/health.
+
+const RETRIES = Math.max(Number(process.env.UPSTREAM_RETRIES ?? 2), 0);
+const BASE_DELAY_MS = 300;
+const MAX_DELAY_MS = 5000;
+const MAX_RETRY_AFTER_MS = 10000; // longer Retry-After waits fail the call instead
+const FAILURE_THRESHOLD = Number(process.env.BREAKER_FAILURE_THRESHOLD) || 5;
+const COOLDOWN_MS = Number(process.env.BREAKER_COOLDOWN_MS) || 30000;
+
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const TRANSIENT_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "ENOTFOUND", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"]);
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAfterMs) {
+    super(`${name} is unavailable (circuit open, retrying in ${Math.ceil(retryAfterMs / 1000)}s)`);
+    this.name = "CircuitOpenError";
+    this.code = "CIRCUIT_OPEN";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Retry-After header value (seconds or an HTTP date) in ms, or null
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(date - Date.now(), 0) : null;
+}
+
+function statusOf(error) {
+  return Number(error?.status ?? error?.statusCode) || null;
+}
+
+// Retry-After from an error: set by our own adapters (`retryAfterMs`) or
+// present on the OpenAI SDK's error headers
+function retryAfterOf(error) {
+  if (Number.isFinite(error?.retryAfterMs)) return error.retryAfterMs;
+  const headers = error?.headers;
+  const value = typeof headers?.get === "function" ? headers.get("retry-after") : headers?.["retry-after"];
+  return parseRetryAfter(value);
+}
+
+function isTransientError(error) {
+  if (!error || error.code === "QUOTA_EXCEEDED" || error.name === "ReplayMissError") return false;
+  const status = statusOf(error);
+  if (status) return TRANSIENT_STATUSES.has(status);
+  const code = error.code || error.cause?.code;
+  if (TRANSIENT_CODES.has(code)) return true;
+  // fetch() network failures and AbortSignal.timeout() / SDK timeouts
+  return error.name === "TimeoutError"
+    || error.name === "AbortError"
+    || error.name === "APIConnectionError"
+    || error.name === "APIConnectionTimeoutError"
+    || (error.name === "TypeError" && /fetch failed/i.test(error.message));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with full jitter, never shorter than Retry-After
+function backoffDelay(attempt, retryAfterMs) {
+  const jittered = Math.random() * Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_DELAY_MS);
+  return Math.max(jittered, retryAfterMs || 0);
+}
+
+// Call `fn` (which receives the attempt number), retrying transient errors
+async function withRetry(fn, { retries = RETRIES, label = "upstream call" } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const retryAfterMs = retryAfterOf(error);
+      if (attempt >= retries || !isTransientError(error) || retryAfterMs > MAX_RETRY_AFTER_MS) throw error;
+      const delay = backoffDelay(attempt, retryAfterMs);
+      console.warn(`${label} failed (${error.message}), retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+class CircuitBreaker {
+  constructor(name, { failureThreshold = FAILURE_THRESHOLD, cooldownMs = COOLDOWN_MS } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0; // consecutive transient failures
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+  }
+
+  // "closed" (normal), "open" (failing fast) or "half-open" (cooldown over, next call is a trial)
+  state() {
+    if (this.openedAt === null) return "closed";
+    return Date.now() - this.openedAt >= this.cooldownMs ? "half-open" : "open";
+  }
+
+  // Whether a call would be let through right now
+  isAvailable() {
+    const state = this.state();
+    return state === "closed" || (state === "half-open" && !this.trialInFlight);
+  }
+
+  async call(fn) {
+    const state = this.state();
+    if (state === "open" || (state === "half-open" && this.trialInFlight)) {
+      throw new CircuitOpenError(this.name, Math.max(this.openedAt + this.cooldownMs - Date.now(), 0));
+    }
+    const trial = state === "half-open";
+    if (trial) this.trialInFlight = true;
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (isTransientError(error)) this.onFailure(error, trial);
+      throw error;
+    } finally {
+      if (trial) this.trialInFlight = false;
+    }
+  }
+
+  onSuccess() {
+    if (this.openedAt !== null) console.log(`${this.name} circuit closed`);
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  onFailure(error, trial) {
+    this.failures += 1;
+    this.lastError = error.message;
+    this.lastFailureAt = new Date().toISOString();
+    if (trial || this.failures >= this.failureThreshold) {
+      if (this.openedAt === null || trial) {
+        console.warn(`${this.name} circuit opened after ${this.failures} consecutive failures: ${error.message}`);
+      }
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStatus() {
+    const state = this.state();
+    return {
+      state,
+      consecutiveFailures: this.failures,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      retryInMs: state === "open" ? this.openedAt + this.cooldownMs - Date.now() : 0,
+    };
+  }
+}
+
+const breakers = new Map();
+
+function getBreaker(name) {
+  if (!breakers.has(name)) breakers.set(name, new CircuitBreaker(name));
+  return breakers.get(name);
+}
+
+// Call a provider through its circuit breaker, retrying transient failures.
+// A retried call counts as one failure towards the breaker.
+function callUpstream(name, fn, options = {}) {
+  return getBreaker(name).call(() => withRetry(fn, { label: name, ...options }));
+}
+
+function isProviderAvailable(name) {
+  return breakers.has(name) ? breakers.get(name).isAvailable() : true;
+}
+
+// Throw a CircuitOpenError when a provider's breaker wouldn't let a call through,
+// for callers that fan out many calls and should skip the provider altogether
+function assertProviderAvailable(name) {
+  if (isProviderAvailable(name)) return;
+  const { retryInMs } = breakers.get(name).getStatus();
+  throw new CircuitOpenError(name, retryInMs);
+}
+
+// Breaker status per provider, for /api/health
+function getBreakerStates() {
+  return Object.fromEntries([...breakers.entries()].map(([name, breaker]) => [name, breaker.getStatus()]));
+}
+
+module.exports = {
+  CircuitOpenError,
+  CircuitBreaker,
+  parseRetryAfter,
+  isTransientError,
+  withRetry,
+  callUpstream,
+  isProviderAvailable,
+  assertProviderAvailable,
+  getBreakerStates,
+};
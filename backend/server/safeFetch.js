@@ -0,0 +1,105 @@
+// backend/server/safeFetch.js
+// Fetching URLs that come from outside (user-added feeds, publisher images,
+// article pages). Such URLs could point the server at itself or at internal
+// services, so before every request - and again on every redirect hop - the
+// host is resolved and private, loopback, link-local and CGNAT addresses are
+// refused. Response bodies are read with a size cap.
+
+const dns = require("dns").promises;
+const net = require("net");
+
+const USER_AGENT = "Mozilla/5.0 (compatible; FetchNewsBot/1.0)";
+const MAX_REDIRECTS = 3;
+
+// Carries the HTTP status a caller may pass on (403 blocked host, 413 too
+// large, 502 bad redirect)
+class UnsafeFetchError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "UnsafeFetchError";
+    this.status = status;
+  }
+}
+
+function isFetchableUrl(url) {
+  try {
+    return /^https?:$/.test(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Loopback, private, link-local, CGNAT, multicast and unspecified addresses
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split(".").map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168);
+  }
+  const lower = address.toLowerCase();
+  if (lower.startsWith("::ffff:")) return isPrivateAddress(lower.slice(7));
+  return lower === "::" || lower === "::1" || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || lower.startsWith("ff");
+}
+
+async function assertPublicHost(url) {
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new UnsafeFetchError(403, `Host not allowed: ${hostname}`);
+  }
+}
+
+// Body of a response, giving up past `maxBytes` (or, with `truncate`, keeping
+// the first `maxBytes` and leaving the rest unread)
+async function readLimited(resp, maxBytes, { truncate = false } = {}) {
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of resp.body) {
+    if (total + chunk.length > maxBytes) {
+      if (!truncate) throw new UnsafeFetchError(413, `Response larger than ${maxBytes} bytes`);
+      // Leaving the loop early cancels the rest of the download
+      chunks.push(chunk.subarray(0, maxBytes - total));
+      break;
+    }
+    total += chunk.length;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// fetch() for an outside URL, following redirects by hand so every hop is
+// checked. Resolves to the final response (callers check its status).
+async function fetchPublic(url, { headers = {}, timeoutMs = 10000, maxRedirects = MAX_REDIRECTS } = {}) {
+  if (!isFetchableUrl(url)) throw new UnsafeFetchError(400, "URL must use http or https");
+  let current = url;
+  for (let hop = 0; hop <= maxRedirects; hop++) {
+    await assertPublicHost(current);
+    const resp = await fetch(current, {
+      headers: { "User-Agent": USER_AGENT, ...headers },
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (resp.status >= 300 && resp.status < 400 && resp.headers.get("location")) {
+      // The redirect's own body is never read; cancel it so its socket is freed
+      await resp.body?.cancel().catch(() => {});
+      current = new URL(resp.headers.get("location"), current).toString();
+      if (!isFetchableUrl(current)) throw new UnsafeFetchError(502, "Redirected to an unsupported URL");
+      continue;
+    }
+    return resp;
+  }
+  throw new UnsafeFetchError(502, "Too many redirects");
+}
+
+module.exports = {
+  UnsafeFetchError,
+  isFetchableUrl,
+  isPrivateAddress,
+  assertPublicHost,
+  readLimited,
+  fetchPublic,
+};
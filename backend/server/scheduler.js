@@ -0,0 +1,109 @@
+// backend/server/scheduler.js
+// Background ingestion. Periodically re-fetches (and optionally summarizes)
+// the core categories and the most requested custom topics so that common
+// briefings are answered from cache instead of waiting on upstream APIs.
+//
+// The actual warming work is supplied by the server (warmTopic), this module
+// only decides what to warm and when.
+
+const INGESTION_ENABLED = process.env.INGESTION_SCHEDULER === "on";
+const INGESTION_INTERVAL_MS = Number(process.env.INGESTION_INTERVAL_MS) || 12 * 60 * 1000;
+const POPULAR_TOPIC_LIMIT = Number(process.env.INGESTION_POPULAR_TOPICS) || 5;
+const TOPIC_DELAY_MS = 2000; // spread upstream calls out instead of bursting
+const DEMAND_DECAY = 0.5; // request counts halve every run so demand tracks recent usage
+const MIN_DEMAND = 0.25;
+
+const topicDemand = new Map(); // lowercased topic -> { topic, count }
+const status = {
+  enabled: INGESTION_ENABLED,
+  intervalMs: INGESTION_INTERVAL_MS,
+  running: false,
+  lastRunStartedAt: null,
+  lastRunFinishedAt: null,
+  lastRunTopics: [],
+  lastRunErrors: 0,
+};
+let timer = null;
+
+// Count a briefing request for a topic (called by the summarize routes)
+function recordTopicRequest(topic) {
+  const key = String(topic || "").trim().toLowerCase();
+  if (!key) return;
+  const entry = topicDemand.get(key) || { topic: String(topic).trim(), count: 0 };
+  entry.count += 1;
+  topicDemand.set(key, entry);
+}
+
+// Most requested topics that aren't in `exclude`, busiest first
+function getPopularTopics(limit = POPULAR_TOPIC_LIMIT, exclude = new Set()) {
+  return [...topicDemand.entries()]
+    .filter(([key]) => !exclude.has(key))
+    .sort((a, b) => b[1].count - a[1].count)
+    .slice(0, limit)
+    .map(([, entry]) => entry.topic);
+}
+
+function decayDemand() {
+  for (const [key, entry] of topicDemand) {
+    entry.count *= DEMAND_DECAY;
+    if (entry.count < MIN_DEMAND) topicDemand.delete(key);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function runIngestion({ coreTopics, warmTopic }) {
+  if (status.running) return;
+  status.running = true;
+  status.lastRunStartedAt = new Date().toISOString();
+  status.lastRunErrors = 0;
+
+  const exclude = new Set([...coreTopics, "local"]);
+  const topics = [...coreTopics, ...getPopularTopics(POPULAR_TOPIC_LIMIT, exclude)];
+  status.lastRunTopics = topics;
+  console.log(`Ingestion run: warming ${topics.length} topics (${topics.join(", ")})`);
+
+  try {
+    for (const topic of topics) {
+      try {
+        await warmTopic(topic);
+      } catch (error) {
+        status.lastRunErrors += 1;
+        console.warn(`Ingestion failed for ${topic}: ${error.message}`);
+      }
+      await sleep(TOPIC_DELAY_MS);
+    }
+  } finally {
+    decayDemand();
+    status.running = false;
+    status.lastRunFinishedAt = new Date().toISOString();
+    console.log(`Ingestion run finished with ${status.lastRunErrors} error(s)`);
+  }
+}
+
+// Start the periodic ingestion loop. `coreTopics` are always warmed;
+// `warmTopic(topic)` must refresh the caches a default briefing would hit.
+function startIngestionScheduler({ coreTopics, warmTopic }) {
+  if (!INGESTION_ENABLED || timer) return;
+  const run = () => runIngestion({ coreTopics, warmTopic }).catch((error) => {
+    console.error("Ingestion run error:", error);
+  });
+  // First run shortly after boot, then on the interval
+  setTimeout(run, 5000).unref();
+  timer = setInterval(run, INGESTION_INTERVAL_MS);
+  timer.unref();
+  console.log(`Ingestion scheduler started (every ${Math.round(INGESTION_INTERVAL_MS / 1000)}s)`);
+}
+
+function getSchedulerStatus() {
+  return { ...status, popularTopics: getPopularTopics() };
+}
+
+module.exports = {
+  recordTopicRequest,
+  getPopularTopics,
+  startIngestionScheduler,
+  getSchedulerStatus,
+};
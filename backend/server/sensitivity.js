@@ -0,0 +1,186 @@
+// backend/server/sensitivity.js
+// Per-user sensitive-content filters. Each article's title and description
+// are checked against a few categories of distressing or divisive news, and
+// the listener decides per category what happens to a story that falls in it:
+//
+//   - "block":  the story is left out of the briefing
+//   - "soften": the story stays, but the summary covers it without graphic
+//     or distressing detail
+//   - "allow":  the story is summarized as usual
+//
+// Settings live in preferences.contentFilters (anonymous requests may send
+// `contentFilters` instead). Self-harm is softened unless the listener says
+// otherwise; everything else is allowed.
+
+const SENSITIVITY_CATEGORIES = ["violence", "selfHarm", "disasters", "politics", "crime"];
+const FILTER_SETTINGS = ["block", "soften", "allow"];
+const DEFAULT_CONTENT_FILTERS = {
+  violence: "allow",
+  selfHarm: "soften",
+  disasters: "allow",
+  politics: "allow",
+  crime: "allow",
+};
+
+// Terms that put a story in a category. They match whole words; a trailing
+// "*" marks a stem that also matches longer words ("murder*" covers
+// "murdered" and "murderer"), used only where no everyday word shares it
+const CATEGORY_TERMS = {
+  violence: [
+    "shooting", "shootings", "shot dead", "gunman", "gunmen", "gunfire", "stab", "stabbed", "stabbing", "stabbings",
+    "massacre*", "behead*", "bloodshed", "bloody", "gruesome", "mutilat*", "tortur*", "killed", "killing", "killings",
+    "slaughter*", "bombing", "bombings", "suicide bomb*", "airstrike", "airstrikes", "air strike", "air strikes",
+    "shelling", "execution", "executions", "executed", "mass grave", "mass graves", "beaten to death", "war crime",
+    "war crimes", "militant", "militants", "terror attack", "terror attacks", "violent",
+  ],
+  selfHarm: [
+    "suicide", "suicides", "suicidal", "self-harm", "self harm", "took his own life", "took her own life",
+    "took their own life", "overdose", "overdoses", "overdosed", "eating disorder", "eating disorders", "anorexi*",
+    "bulimi*",
+  ],
+  disasters: [
+    "earthquake", "earthquakes", "flood", "floods", "flooded", "flooding", "floodwaters", "hurricane", "hurricanes",
+    "tornado", "tornadoes", "wildfire", "wildfires", "tsunami", "tsunamis", "cyclone", "cyclones", "typhoon",
+    "typhoons", "landslide", "landslides", "mudslide", "mudslides", "avalanche", "avalanches", "eruption",
+    "eruptions", "plane crash", "plane crashes", "derail*", "famine", "famines", "drought", "droughts", "death toll",
+    "collapsed building", "building collapse", "heatwave", "heatwaves", "heat wave", "heat waves",
+  ],
+  politics: [
+    "election", "elections", "elected", "senate", "senator", "senators", "congress", "congressional", "congressman",
+    "congresswoman", "parliament*", "prime minister", "presidential", "lawmaker", "lawmakers", "legislat*",
+    "politic*", "democrat*", "republican*", "campaign trail", "ballot", "ballots", "referendum", "referendums",
+    "governor", "governors", "impeach*", "cabinet minister", "cabinet ministers", "opposition party", "polls show",
+    "white house", "downing street",
+  ],
+  crime: [
+    "arrested", "charged with", "convicted", "sentenced", "murder*", "homicide", "homicides", "robbery", "robberies",
+    "burglar*", "theft", "thefts", "fraud*", "assault*", "kidnap*", "abduct*", "trafficking", "smuggl*",
+    "police say", "police said", "suspect", "suspects", "suspected", "indicted", "manslaughter", "rape", "raped",
+    "rapes", "rapist", "rapists", "sexual abuse", "gang member", "gang members", "gang violence",
+  ],
+};
+
+// How each category is described to the summarizer when softened
+const SOFTEN_GUIDANCE = {
+  violence: "violence",
+  selfHarm: "self-harm (follow safe messaging: no methods or details, mention that support is available)",
+  disasters: "a disaster",
+  politics: "politics (stay neutral and avoid inflammatory framing)",
+  crime: "crime",
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function termPattern(term) {
+  const stem = term.endsWith("*");
+  const word = escapeRegExp(stem ? term.slice(0, -1) : term);
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${word}${stem ? "" : "(?![\\p{L}\\p{N}])"}`, "iu");
+}
+
+const CATEGORY_PATTERNS = Object.fromEntries(
+  Object.entries(CATEGORY_TERMS).map(([category, terms]) => [
+    category,
+    terms.map((term) => ({ term: term.replace(/\*$/, ""), pattern: termPattern(term) })),
+  ])
+);
+
+// Error message for invalid filter settings, or null when they're valid.
+// Settings may name only some categories.
+function validateContentFilters(filters) {
+  if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+    return "contentFilters must be an object";
+  }
+  for (const [category, setting] of Object.entries(filters)) {
+    if (!SENSITIVITY_CATEGORIES.includes(category)) {
+      return `Content filter category must be one of: ${SENSITIVITY_CATEGORIES.join(", ")}`;
+    }
+    if (!FILTER_SETTINGS.includes(setting)) {
+      return `Content filter setting must be one of: ${FILTER_SETTINGS.join(", ")}`;
+    }
+  }
+  return null;
+}
+
+// Complete settings: the defaults overridden by whatever valid settings are given
+function resolveContentFilters(filters) {
+  const resolved = { ...DEFAULT_CONTENT_FILTERS };
+  if (!filters || typeof filters !== "object") return resolved;
+  for (const category of SENSITIVITY_CATEGORIES) {
+    const setting = typeof filters.get === "function" ? filters.get(category) : filters[category];
+    if (FILTER_SETTINGS.includes(setting)) resolved[category] = setting;
+  }
+  return resolved;
+}
+
+// Categories an article falls in: [{ category, terms }]
+function classifyArticle(article) {
+  const text = `${article?.title || ""} ${article?.description || ""}`;
+  const found = [];
+  for (const category of SENSITIVITY_CATEGORIES) {
+    const terms = CATEGORY_PATTERNS[category].filter(({ pattern }) => pattern.test(text)).map(({ term }) => term);
+    if (terms.length > 0) found.push({ category, terms });
+  }
+  return found;
+}
+
+// What the listener's settings do to an article:
+//   { action: "block" | "soften" | "allow", categories, softened }
+// where `categories` are all the categories it falls in and `softened` the
+// ones to handle gently. The strictest setting among its categories wins.
+function assessArticle(article, filters) {
+  const categories = classifyArticle(article).map(({ category }) => category);
+  const settings = categories.map((category) => filters[category] || "allow");
+  const action = settings.includes("block") ? "block" : settings.includes("soften") ? "soften" : "allow";
+  const softened = categories.filter((category) => filters[category] === "soften");
+  return { action, categories, softened };
+}
+
+// Apply the settings to a topic's articles: blocked ones are left out, the
+// rest carry their `sensitivity` when they fall in any category
+function screenArticles(articles, filters) {
+  const kept = [];
+  const blocked = [];
+  for (const article of articles) {
+    const sensitivity = assessArticle(article, filters);
+    if (sensitivity.action === "block") blocked.push(article);
+    else kept.push(sensitivity.categories.length > 0 ? { ...article, sensitivity } : article);
+  }
+  return { kept, blocked };
+}
+
+// Summarizer guidance for a softened article, or "" when it needs none
+function softenGuidance(sensitivity) {
+  if (!sensitivity?.softened?.length) return "";
+  const subjects = sensitivity.softened.map((category) => SOFTEN_GUIDANCE[category]);
+  return `Sensitive story about ${subjects.join(" and ")}: describe it briefly and factually, without graphic or distressing detail.`;
+}
+
+// Advisory for a whole briefing from its items' sensitivity
+function contentAdvisory(items) {
+  const categories = new Set();
+  let softened = 0;
+  for (const item of items) {
+    for (const category of item.sensitivity?.categories || []) categories.add(category);
+    if (item.sensitivity?.softened?.length) softened++;
+  }
+  return {
+    flagged: categories.size > 0,
+    categories: SENSITIVITY_CATEGORIES.filter((category) => categories.has(category)),
+    softenedCount: softened,
+  };
+}
+
+module.exports = {
+  SENSITIVITY_CATEGORIES,
+  FILTER_SETTINGS,
+  DEFAULT_CONTENT_FILTERS,
+  validateContentFilters,
+  resolveContentFilters,
+  classifyArticle,
+  assessArticle,
+  screenArticles,
+  softenGuidance,
+  contentAdvisory,
+};
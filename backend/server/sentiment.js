@@ -0,0 +1,178 @@
+// backend/server/sentiment.js
+// Offline sentiment scoring for headlines. Words and short phrases from
+// data/sentiment.json carry a valence from -5 to +5; phrases are matched
+// first, so "fired up" isn't read as "fired" and "save on" isn't "save".
+// While scoring:
+//
+//   - a negation ("not", "no", "never", "won't", ...) flips and dampens the
+//     next three words, up to the end of the clause
+//   - intensifiers ("very", "hugely") strengthen the next word, diminishers
+//     ("slightly") weaken it
+//   - after "but" words count more than before it
+//   - the title counts twice as much as the description
+//
+// The sum is squashed into a score from -1 (grim) to 1 (uplifting). The
+// "uplifting only" briefing mode keeps articles scoring at least
+// UPLIFTING_THRESHOLD (or the request's own threshold).
+
+const lexicon = require("./data/sentiment.json");
+
+const TITLE_WEIGHT = 2;
+const NEGATION_SCOPE = 3; // words after a negation it applies to
+const NEGATION_FACTOR = -0.75;
+const BUT_BEFORE = 0.5;
+const BUT_AFTER = 1.5;
+const NORMALIZE_ALPHA = 15; // how quickly the score approaches +/-1
+const LABEL_THRESHOLD = 0.2;
+const MAX_TERMS = 5;
+
+// A threshold from -1 to 1, or `fallback` when `value` isn't a number
+function toThreshold(value, fallback) {
+  const n = Number(value);
+  if (value === undefined || value === null || value === "" || !Number.isFinite(n)) return fallback;
+  return Math.max(-1, Math.min(1, n));
+}
+const DEFAULT_UPLIFTING_THRESHOLD = toThreshold(process.env.UPLIFTING_THRESHOLD, 0.3);
+
+const NEGATIONS = new Set(["not", "no", "never", "none", "nobody", "nothing", "neither", "nor", "without", "cannot", "hardly"]);
+const INTENSIFIERS = new Map([
+  ["very", 1.3], ["extremely", 1.5], ["hugely", 1.4], ["deeply", 1.3], ["highly", 1.3], ["really", 1.2],
+  ["so", 1.2], ["most", 1.2], ["incredibly", 1.4], ["major", 1.2], ["massive", 1.3],
+  ["slightly", 0.6], ["somewhat", 0.7], ["barely", 0.5], ["partly", 0.7], ["minor", 0.7],
+]);
+const CLAUSE_END = /^[.,;:!?]$/;
+
+// Phrases indexed by their first word; longest tried first
+const PHRASES = new Map();
+for (const [phrase, valence] of Object.entries(lexicon.phrases)) {
+  const tokens = phrase.split(" ");
+  if (!PHRASES.has(tokens[0])) PHRASES.set(tokens[0], []);
+  PHRASES.get(tokens[0]).push({ tokens, phrase, valence });
+}
+for (const list of PHRASES.values()) list.sort((a, b) => b.tokens.length - a.tokens.length);
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .match(/[a-z0-9]+(?:'[a-z]+)?|[.,;:!?]/g) || [];
+}
+
+function isNegation(token) {
+  return NEGATIONS.has(token) || token.endsWith("n't");
+}
+
+// Lexicon entry for a word, trying a plural "-s" as the singular too
+function wordValence(token) {
+  if (Object.prototype.hasOwnProperty.call(lexicon.words, token)) return lexicon.words[token];
+  if (token.length > 3 && token.endsWith("s") && Object.prototype.hasOwnProperty.call(lexicon.words, token.slice(0, -1))) {
+    return lexicon.words[token.slice(0, -1)];
+  }
+  return null;
+}
+
+function matchPhrase(tokens, i) {
+  for (const candidate of PHRASES.get(tokens[i]) || []) {
+    if (candidate.tokens.every((t, k) => tokens[i + k] === t)) return candidate;
+  }
+  return null;
+}
+
+// Contributions of every sentiment-bearing term in one piece of text
+function scoreText(text, weight) {
+  const tokens = tokenize(text);
+  const hits = []; // { term, value }
+  let negated = 0; // words left in the current negation's scope
+  let modifier = 1;
+  let afterBut = false;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (CLAUSE_END.test(token)) {
+      negated = 0;
+      modifier = 1;
+      continue;
+    }
+    if (token === "but") {
+      for (const hit of hits) hit.value *= BUT_BEFORE;
+      afterBut = true;
+      continue;
+    }
+
+    const phrase = matchPhrase(tokens, i);
+    let term = token;
+    let valence = null;
+    if (phrase) {
+      term = phrase.phrase;
+      valence = phrase.valence;
+      i += phrase.tokens.length - 1;
+    } else if (isNegation(token)) {
+      negated = NEGATION_SCOPE;
+      continue;
+    } else if (INTENSIFIERS.has(token)) {
+      modifier *= INTENSIFIERS.get(token);
+      continue;
+    } else {
+      valence = wordValence(token);
+    }
+
+    if (valence) {
+      let value = valence * modifier * weight;
+      if (negated > 0) value *= NEGATION_FACTOR;
+      if (afterBut) value *= BUT_AFTER;
+      hits.push({ term: negated > 0 ? `not ${term}` : term, value });
+    }
+    modifier = 1;
+    if (negated > 0) negated--;
+  }
+  return hits;
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Score an article's title and description:
+//   { score: -1..1, label: "positive" | "neutral" | "negative",
+//     terms: [{ term, weight }] (the terms that moved the score most) }
+function scoreSentiment(article) {
+  const hits = [
+    ...scoreText(article?.title, TITLE_WEIGHT),
+    ...scoreText(article?.description, 1),
+  ];
+  const total = hits.reduce((sum, hit) => sum + hit.value, 0);
+  const score = total / Math.sqrt(total * total + NORMALIZE_ALPHA);
+  const terms = hits
+    .filter((hit) => hit.value !== 0)
+    .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+    .slice(0, MAX_TERMS)
+    .map((hit) => ({ term: hit.term, weight: round(hit.value) }));
+  return {
+    score: round(score),
+    label: score >= LABEL_THRESHOLD ? "positive" : score <= -LABEL_THRESHOLD ? "negative" : "neutral",
+    terms,
+  };
+}
+
+// Articles are scored once; items and filters ask repeatedly
+const scored = new WeakMap();
+function articleSentiment(article) {
+  if (!article || typeof article !== "object") return scoreSentiment(article);
+  if (!scored.has(article)) scored.set(article, scoreSentiment(article));
+  return scored.get(article);
+}
+
+// A request's uplifting threshold (-1..1), else the configured default
+function resolveUpliftingThreshold(value) {
+  return toThreshold(value, DEFAULT_UPLIFTING_THRESHOLD);
+}
+
+function isUplifting(article, threshold = DEFAULT_UPLIFTING_THRESHOLD) {
+  return articleSentiment(article).score >= threshold;
+}
+
+module.exports = {
+  DEFAULT_UPLIFTING_THRESHOLD,
+  scoreSentiment,
+  articleSentiment,
+  resolveUpliftingThreshold,
+  isUplifting,
+};
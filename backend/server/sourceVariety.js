@@ -0,0 +1,187 @@
+// backend/server/sourceVariety.js
+// Source variety for users who selected specific news sources: instead of one
+// result page dominated by the busiest outlet, pick the latest article from as
+// many different selected sources as possible.
+//
+// Sources are covered in up to three passes, each stopping as soon as enough
+// sources are represented:
+//   1. one multi-source search per chunk of sources (providers that allow it)
+//   2. a search per source still missing
+//   3. top headlines per source still missing, without a time filter
+// Calls within a pass run concurrently (VARIETY_CONCURRENCY at a time) and the
+// whole fetch gives up waiting after VARIETY_LATENCY_BUDGET_MS. Per-source
+// timings are logged and remembered so fast sources are tried first.
+
+const { tagProvenance } = require("./explain");
+const { budgetLevel } = require("./providers");
+
+const CONCURRENCY = Math.max(Number(process.env.VARIETY_CONCURRENCY) || 4, 1);
+const LATENCY_BUDGET_MS = Number(process.env.VARIETY_LATENCY_BUDGET_MS) || 5000;
+const TARGET_VARIETY = 5; // different sources to aim for
+const SEARCH_WINDOW_HOURS = 24;
+const MAX_PAGE_SIZE = 100;
+const TIMING_WEIGHT = 0.3; // weight of the latest call in a source's average latency
+
+// Latency history per source id: { avgMs, lastMs, calls, failures, lastStatus, lastAt }
+const sourceTimings = new Map();
+
+function recordTiming(source, ms, status) {
+  const previous = sourceTimings.get(source);
+  sourceTimings.set(source, {
+    avgMs: previous ? Math.round(previous.avgMs * (1 - TIMING_WEIGHT) + ms * TIMING_WEIGHT) : ms,
+    lastMs: ms,
+    calls: (previous?.calls || 0) + 1,
+    failures: (previous?.failures || 0) + (status === "error" ? 1 : 0),
+    lastStatus: status,
+    lastAt: new Date().toISOString(),
+  });
+}
+
+// Sources with a good latency record first; unknown sources keep the user's order up front
+function byLatency(sources) {
+  const avg = (source) => sourceTimings.get(source)?.avgMs ?? 0;
+  return [...sources].sort((a, b) => avg(a) - avg(b));
+}
+
+function chunk(list, size) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+  return chunks;
+}
+
+// Run task factories with at most `limit` in flight, starting no new task once
+// `shouldStop()` returns true. Resolves when every started task has settled.
+function runBounded(tasks, limit, shouldStop) {
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length && !shouldStop()) {
+      const task = tasks[next];
+      next += 1;
+      await task();
+    }
+  };
+  return Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+}
+
+function sourceIdOf(article) {
+  return String(article?.source?.id || "").toLowerCase();
+}
+
+// Provider-shaped articles from as many of `selectedSources` as possible (at
+// most one each), newest first per source. Never rejects.
+async function fetchArticlesWithVariety(provider, selectedSources, maxResults = 10, language = "en") {
+  if (!selectedSources || selectedSources.length === 0) {
+    return [];
+  }
+
+  // Per-source calls add up fast, so skip this when the budget is tight
+  const level = await budgetLevel(provider);
+  if (level === "critical" || level === "exhausted") {
+    console.log(`Skipping variety fetch (${provider.name} budget ${level})`);
+    return [];
+  }
+
+  const started = Date.now();
+  const deadline = started + LATENCY_BUDGET_MS;
+  const sources = byLatency([...new Set(selectedSources.map((s) => String(s).toLowerCase()))]);
+  const targetVariety = Math.min(TARGET_VARIETY, sources.length, Math.max(maxResults, 1));
+  const from = new Date(started - SEARCH_WINDOW_HOURS * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const picked = new Map(); // source id -> article
+  const report = []; // { sources, pass, ms, status }
+  const inFlight = new Map(); // task -> { batch, pass, startedAt }
+  let calls = 0;
+  let closed = false; // set once the budget runs out; late results are ignored
+  const enough = () => picked.size >= targetVariety;
+  const shouldStop = () => closed || enough() || Date.now() >= deadline;
+  const missing = () => sources.filter((s) => !picked.has(s));
+
+  const timed = (pass, batch, fetchArticles) => async function task() {
+    const callStarted = Date.now();
+    calls += 1;
+    inFlight.set(task, { batch, pass, startedAt: callStarted });
+    let status = "ok";
+    try {
+      const articles = await fetchArticles();
+      inFlight.delete(task);
+      if (closed) return;
+      for (const article of articles) {
+        const id = sourceIdOf(article);
+        if (batch.includes(id) && !picked.has(id)) {
+          picked.set(id, tagProvenance([article], { provider: provider.name, call: `variety ${pass}`, sources: batch })[0]);
+        }
+      }
+      if (!batch.some((s) => picked.has(s))) status = "empty";
+    } catch (error) {
+      inFlight.delete(task);
+      if (closed) return;
+      status = "error";
+      console.log(`Variety ${pass} failed for ${batch.join(",")}: ${error.message}`);
+    }
+    const ms = Date.now() - callStarted;
+    for (const source of batch) {
+      recordTiming(source, ms, status === "error" ? "error" : picked.has(source) ? "ok" : "empty");
+    }
+    report.push({ sources: batch, pass, ms, status });
+  };
+
+  const runPass = async (tasks) => {
+    if (tasks.length === 0 || shouldStop()) return;
+    let timer;
+    const outOfTime = new Promise((resolve) => {
+      timer = setTimeout(resolve, Math.max(deadline - Date.now(), 0));
+    });
+    await Promise.race([runBounded(tasks, CONCURRENCY, shouldStop), outOfTime]);
+    clearTimeout(timer);
+    if (Date.now() < deadline) return;
+    // Out of time: calls still running count as timeouts so these sources are tried last next time
+    closed = true;
+    for (const { batch, pass, startedAt } of inFlight.values()) {
+      const ms = Date.now() - startedAt;
+      for (const source of batch) recordTiming(source, ms, "timeout");
+      report.push({ sources: batch, pass, ms, status: "timeout" });
+    }
+  };
+
+  // 1. Multi-source searches
+  const perQuery = Number(provider.maxSourcesPerQuery) || 1;
+  if (perQuery > 1) {
+    await runPass(chunk(sources, perQuery).map((batch) => timed("multi-source search", batch, () =>
+      provider.search({ sources: batch, from, language, pageSize: Math.min(batch.length * 5, MAX_PAGE_SIZE) })
+    )));
+  }
+
+  // 2./3. One call per missing source (skipped when the budget runs low)
+  if (level === "normal") {
+    await runPass(missing().map((source) => timed("search", [source], () =>
+      provider.search({ sources: [source], from, language, pageSize: 1 })
+    )));
+    await runPass(missing().map((source) => timed("top headlines", [source], () =>
+      provider.topHeadlines({ sources: [source], pageSize: 1 })
+    )));
+  }
+  closed = true;
+
+  const articles = sources.filter((s) => picked.has(s)).map((s) => picked.get(s)).slice(0, Math.max(maxResults, 1));
+  const timings = report
+    .map(({ sources: batch, ms, status }) => `${batch.length > 1 ? `[${batch.length} sources]` : batch[0]} ${ms}ms ${status}`)
+    .join(", ");
+  console.log(
+    `Variety: ${articles.length} sources (target ${targetVariety}) from ${sources.length} selected in ${Date.now() - started}ms ` +
+    `(${calls} call${calls === 1 ? "" : "s"}${Date.now() >= deadline ? ", latency budget reached" : ""})` +
+    (timings ? `: ${timings}` : "")
+  );
+  return articles;
+}
+
+// Latency history for the admin dashboard, slowest sources first
+function getSourceTimings() {
+  return [...sourceTimings.entries()]
+    .map(([source, timing]) => ({ source, ...timing }))
+    .sort((a, b) => b.avgMs - a.avgMs);
+}
+
+module.exports = {
+  fetchArticlesWithVariety,
+  getSourceTimings,
+};
@@ -0,0 +1,98 @@
+// backend/server/summarizers/index.js
+// Summarization provider registry. Every provider implements the same interface:
+//
+//   name                 - registry key, recorded with each summary
+//   service              - circuit breaker name (see resilience.js)
+//   defaultModel         - model used unless one is configured
+//   isConfigured()       - whether the provider can serve requests
+//   summarize(request)   - { model, system, prompt, maxTokens, temperature,
+//                            intro, articles: [{ title, source, text }], wordCount }
+//
+// summarize resolves to the summary text. LLM-backed providers send `system`
+// and `prompt` to the model; `intro`, `articles` and `wordCount` are there for
+// providers that assemble a summary themselves (the offline stub).
+//
+// Configuration:
+//   SUMMARY_PROVIDER         - deployment default (openai | local | stub), default "openai"
+//   SUMMARY_MODEL            - model for the default provider (its own default otherwise)
+//   SUMMARY_PROVIDER_PLANS   - per-plan overrides, e.g. "free:local,premium:openai"
+//   SUMMARY_MODEL_PLANS      - per-plan models, e.g. "premium:gpt-4o"
+//
+// Plans are "free" and "premium".
+
+const openaiSummarizer = require("./openai");
+const localSummarizer = require("./local");
+const stubSummarizer = require("./stub");
+
+const SUMMARIZERS = {
+  [openaiSummarizer.name]: openaiSummarizer,
+  [localSummarizer.name]: localSummarizer,
+  [stubSummarizer.name]: stubSummarizer,
+};
+
+const DEFAULT_SUMMARIZER = "openai";
+const PLANS = ["free", "premium"];
+
+function getSummarizer(name) {
+  const key = String(name || process.env.SUMMARY_PROVIDER || DEFAULT_SUMMARIZER).toLowerCase();
+  const summarizer = SUMMARIZERS[key];
+  if (!summarizer) {
+    console.warn(`Unknown summary provider "${key}", using ${DEFAULT_SUMMARIZER}`);
+    return SUMMARIZERS[DEFAULT_SUMMARIZER];
+  }
+  return summarizer;
+}
+
+// "plan:value" pairs; values may contain ":" themselves (e.g. "llama3.1:8b")
+function getPlanOverrides(variable) {
+  const overrides = {};
+  for (const entry of String(process.env[variable] || "").split(",")) {
+    const separator = entry.indexOf(":");
+    if (separator < 0) continue;
+    const plan = entry.slice(0, separator).trim().toLowerCase();
+    const value = entry.slice(separator + 1).trim();
+    if (plan && value) overrides[plan] = value;
+  }
+  return overrides;
+}
+
+function planOf(user) {
+  return user?.isPremium ? "premium" : "free";
+}
+
+// Provider and model that summarize for `plan`: { summarizer, model }
+function resolveSummarizer(plan = "free") {
+  const key = String(plan || "free").toLowerCase();
+  const summarizer = getSummarizer(getPlanOverrides("SUMMARY_PROVIDER_PLANS")[key]);
+  const isDefault = summarizer === getSummarizer();
+  const model = getPlanOverrides("SUMMARY_MODEL_PLANS")[key]
+    || (isDefault && process.env.SUMMARY_MODEL)
+    || summarizer.defaultModel;
+  return { summarizer, model };
+}
+
+// What produced a summary, as stored on a summary history entry: { provider, model }
+// (client-sent, so only short strings are kept)
+function sanitizeSummarizerInfo(info) {
+  if (!info || typeof info !== "object") return null;
+  const clean = (value) => (typeof value === "string" && value.trim() ? value.trim().slice(0, 100) : null);
+  const provider = clean(info.provider);
+  return provider ? { provider, model: clean(info.model) } : null;
+}
+
+// Summary providers per plan, for /api/health
+function getSummarizerStatus() {
+  return Object.fromEntries(PLANS.map((plan) => {
+    const { summarizer, model } = resolveSummarizer(plan);
+    return [plan, { provider: summarizer.name, model, configured: summarizer.isConfigured() }];
+  }));
+}
+
+module.exports = {
+  SUMMARIZERS,
+  getSummarizer,
+  planOf,
+  resolveSummarizer,
+  sanitizeSummarizerInfo,
+  getSummarizerStatus,
+};
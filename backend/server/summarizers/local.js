@@ -0,0 +1,50 @@
+// backend/server/summarizers/local.js
+// Self-hosted model behind an OpenAI-compatible chat completions endpoint
+// (vLLM, llama.cpp server, Ollama, LM Studio, ...).
+//
+//   LOCAL_LLM_URL        - base URL of the API, e.g. http://localhost:11434/v1
+//   LOCAL_LLM_MODEL      - model to request (default "llama3.1")
+//   LOCAL_LLM_API_KEY    - sent as the bearer token, for servers that want one
+//   LOCAL_LLM_TIMEOUT_MS - per-call timeout (default 60s; local models are slow)
+
+const OpenAI = require("openai");
+const { replayable, isReplaying } = require("../replay");
+const { callUpstream } = require("../resilience");
+
+const TIMEOUT_MS = Number(process.env.LOCAL_LLM_TIMEOUT_MS) || 60000;
+
+const localSummarizer = {
+  name: "local",
+  service: "local-llm",
+  defaultModel: process.env.LOCAL_LLM_MODEL || "llama3.1",
+
+  isConfigured() {
+    return !!process.env.LOCAL_LLM_URL || isReplaying();
+  },
+
+  async summarize({ model, system, prompt, maxTokens, temperature }) {
+    const params = {
+      model,
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: prompt },
+      ],
+      max_tokens: maxTokens,
+      temperature,
+    };
+    const completion = await replayable("local-llm", "chat.completions.create", params, () =>
+      callUpstream("local-llm", () =>
+        new OpenAI({
+          // The SDK insists on a key; most local servers ignore it
+          apiKey: process.env.LOCAL_LLM_API_KEY || "local",
+          baseURL: process.env.LOCAL_LLM_URL,
+          timeout: TIMEOUT_MS,
+          maxRetries: 0,
+        }).chat.completions.create(params)
+      )
+    );
+    return completion.choices[0]?.message?.content?.trim() || "";
+  },
+};
+
+module.exports = localSummarizer;
@@ -0,0 +1,38 @@
+// backend/server/summarizers/openai.js
+// OpenAI chat completions. Retries are left to callUpstream so they count
+// towards OpenAI's circuit breaker.
+
+const OpenAI = require("openai");
+const { replayable, isReplaying } = require("../replay");
+const { callUpstream } = require("../resilience");
+
+const openaiSummarizer = {
+  name: "openai",
+  service: "openai",
+  defaultModel: "gpt-4o-mini",
+
+  isConfigured() {
+    // Recorded responses stand in for the key when replaying
+    return !!process.env.OPENAI_API_KEY || isReplaying();
+  },
+
+  async summarize({ model, system, prompt, maxTokens, temperature }) {
+    const params = {
+      model,
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: prompt },
+      ],
+      max_tokens: maxTokens,
+      temperature,
+    };
+    const completion = await replayable("openai", "chat.completions.create", params, () =>
+      callUpstream("openai", () =>
+        new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 }).chat.completions.create(params)
+      )
+    );
+    return completion.choices[0]?.message?.content?.trim() || "";
+  },
+};
+
+module.exports = openaiSummarizer;
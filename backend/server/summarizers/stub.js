@@ -0,0 +1,56 @@
+// backend/server/summarizers/stub.js
+// Deterministic offline summarizer for development and tests: no network, no
+// model. The summary is the intro followed by each article's title, source
+// and first sentence (cited like a model would, see citations.js), cut to the
+// word count at a sentence boundary, so the same articles always give the
+// same summary.
+
+function firstSentence(text) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  const match = clean.match(/^.*?[.!?](?=\s|$)/);
+  return match ? match[0] : clean;
+}
+
+function withPeriod(text) {
+  const clean = String(text || "").replace(/[\s\-–—]+$/g, "").trim();
+  return !clean || /[.!?]$/.test(clean) ? clean : `${clean}.`;
+}
+
+function wordsIn(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+const stubSummarizer = {
+  name: "stub",
+  service: "stub",
+  defaultModel: "stub-1",
+
+  isConfigured() {
+    return true;
+  },
+
+  async summarize({ intro, articles = [], wordCount = 200 }) {
+    const sentences = [{ text: withPeriod(intro), citation: "" }];
+    articles.forEach((article, index) => {
+      const title = withPeriod(article.title);
+      if (!title) return;
+      const lead = withPeriod(firstSentence(article.text));
+      const from = article.source ? `From ${article.source}: ` : "";
+      const citation = ` [${index + 1}]`;
+      sentences.push({ text: `${from}${title}`, citation });
+      if (lead && lead !== title) sentences.push({ text: lead, citation });
+    });
+
+    // Whole sentences up to the word count (always at least the first story)
+    const kept = [];
+    let words = 0;
+    for (const { text, citation } of sentences.filter((s) => s.text)) {
+      if (kept.length >= 2 && words + wordsIn(text) > wordCount) break;
+      kept.push(`${text}${citation}`);
+      words += wordsIn(text);
+    }
+    return kept.join(" ");
+  },
+};
+
+module.exports = stubSummarizer;
@@ -0,0 +1,304 @@
+// backend/server/topicQuery.js
+// Query language for custom topics:
+//
+//   apple iphone            both words (implicit AND)
+//   "electric cars"         exact phrase
+//   nasa OR spacex          either side; AND binds tighter than OR
+//   apple -fruit            exclude a word or -"phrase"
+//   source:bbc-news         only articles from a source (id or name)
+//   site:theverge.com       only articles from a domain (-site: excludes it)
+//   person:"Jane Doe"       articles tagged with an entity (see entities.js);
+//   org:nasa place:kenya    org: and place: work the same way
+//
+// Topics are validated on save (validateTopicQuery), translated per news
+// provider (toProviderSearch) and enforced during relevance filtering
+// (matchTopicQuery / passesTopicFilters). A topic without any of this syntax
+// is "plain" and keeps the original free-text behavior everywhere.
+
+const { hostnameOf } = require("./providers/util");
+const { extractEntities, canonicalEntityName, mentionsEntity } = require("./entities");
+
+const MAX_TOPIC_LENGTH = 50;
+const MAX_TERMS = 12;
+const QUALIFIERS = new Set(["source", "site"]);
+const SITE_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+const SOURCE_PATTERN = /^[a-z0-9._-]+$/;
+// Entity qualifiers and the entity type they match
+const ENTITY_QUALIFIERS = { person: "people", org: "organizations", place: "locations" };
+const ENTITY_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} .'’&-]*$/u;
+const MAX_ENTITY_LENGTH = 60;
+
+class TopicQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TopicQueryError";
+  }
+}
+
+// Split into words, "phrases" and AND/OR operators, keeping a leading "-"
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    if (ch === "(" || ch === ")") {
+      throw new TopicQueryError("Parentheses aren't supported; use AND/OR instead");
+    }
+    const negated = ch === "-";
+    const start = negated ? i + 1 : i;
+    if (text[start] === "\"") {
+      const end = text.indexOf("\"", start + 1);
+      if (end === -1) throw new TopicQueryError("Unterminated quoted phrase");
+      const phrase = text.slice(start + 1, end).replace(/\s+/g, " ").trim();
+      if (!phrase) throw new TopicQueryError("Empty quoted phrase");
+      tokens.push({ kind: "term", type: "phrase", value: phrase.toLowerCase(), negated });
+      i = end + 1;
+      continue;
+    }
+    let end = start;
+    while (end < text.length && !/[\s"()]/.test(text[end])) end += 1;
+    const word = text.slice(start, end);
+    i = end;
+    if (!word) throw new TopicQueryError("\"-\" must be followed by a word or phrase");
+    if (!negated && (word === "AND" || word === "OR")) {
+      tokens.push({ kind: "op", value: word });
+      continue;
+    }
+    const colon = word.indexOf(":");
+    const qualifier = colon > 0 ? word.slice(0, colon).toLowerCase() : "";
+    if (ENTITY_QUALIFIERS[qualifier]) {
+      let value = word.slice(colon + 1);
+      // person:"Jane Doe"
+      if (!value && text[i] === "\"") {
+        const close = text.indexOf("\"", i + 1);
+        if (close === -1) throw new TopicQueryError("Unterminated quoted phrase");
+        value = text.slice(i + 1, close);
+        i = close + 1;
+      }
+      value = value.replace(/\s+/g, " ").trim();
+      if (!value) throw new TopicQueryError(`${qualifier}: needs a value`);
+      if (value.length > MAX_ENTITY_LENGTH || !ENTITY_PATTERN.test(value)) {
+        throw new TopicQueryError(`Invalid ${qualifier}: value "${value}"`);
+      }
+      tokens.push({ kind: "term", type: qualifier, value: value.toLowerCase(), negated });
+      continue;
+    }
+    if (QUALIFIERS.has(qualifier)) {
+      const value = word.slice(colon + 1).toLowerCase().replace(/^www\./, "");
+      if (!value) throw new TopicQueryError(`${qualifier}: needs a value`);
+      const pattern = qualifier === "site" ? SITE_PATTERN : SOURCE_PATTERN;
+      if (!pattern.test(value)) throw new TopicQueryError(`Invalid ${qualifier}: value "${value}"`);
+      tokens.push({ kind: "term", type: qualifier, value, negated });
+      continue;
+    }
+    tokens.push({ kind: "term", type: "word", value: word.toLowerCase(), negated });
+  }
+  return tokens;
+}
+
+// Entity terms are searched for by name and matched on the article's entity tags
+function isSearchTerm(term) {
+  return term.type === "word" || term.type === "phrase" || Boolean(ENTITY_QUALIFIERS[term.type]);
+}
+
+// What to search for: an entity's dictionary name ("org:fed" -> "federal reserve")
+function searchValue(term) {
+  if (!ENTITY_QUALIFIERS[term.type]) return term.value;
+  return canonicalEntityName(ENTITY_QUALIFIERS[term.type], term.value).toLowerCase();
+}
+
+// Parse a topic into OR-ed clauses of AND-ed terms. Throws TopicQueryError.
+function parseTopicQuery(input) {
+  const text = String(input || "").trim();
+  if (!text) throw new TopicQueryError("Topic is empty");
+  if (text.length > MAX_TOPIC_LENGTH) {
+    throw new TopicQueryError(`Topic must be ${MAX_TOPIC_LENGTH} characters or less`);
+  }
+
+  const tokens = tokenize(text);
+  const clauses = [[]];
+  let previous = null;
+  for (const token of tokens) {
+    if (token.kind === "op") {
+      if (!previous || previous.kind === "op") {
+        throw new TopicQueryError(`${token.value} must sit between two terms`);
+      }
+      if (token.value === "OR") clauses.push([]);
+    } else {
+      clauses[clauses.length - 1].push({ type: token.type, value: token.value, negated: token.negated });
+    }
+    previous = token;
+  }
+  if (previous && previous.kind === "op") {
+    throw new TopicQueryError(`${previous.value} must sit between two terms`);
+  }
+
+  const termCount = clauses.reduce((sum, terms) => sum + terms.length, 0);
+  if (termCount > MAX_TERMS) throw new TopicQueryError(`Topic can have at most ${MAX_TERMS} terms`);
+  for (const terms of clauses) {
+    const searchable = terms.some((t) => !t.negated && (isSearchTerm(t) || clauses.length === 1));
+    if (!searchable) throw new TopicQueryError("Each part of the topic needs at least one term to search for");
+  }
+
+  const plain = clauses.length === 1
+    && tokens.every((t) => t.kind === "term" && t.type === "word" && !t.negated);
+  return { text, plain, clauses: clauses.map((terms) => ({ terms })) };
+}
+
+// Error message for an invalid topic, or null when it's valid
+function validateTopicQuery(input) {
+  try {
+    parseTopicQuery(input);
+    return null;
+  } catch (error) {
+    if (error instanceof TopicQueryError) return error.message;
+    throw error;
+  }
+}
+
+// Parse without throwing: topics saved before validation existed (or sent
+// ad hoc) fall back to a plain free-text query
+function compileTopicQuery(input) {
+  try {
+    return parseTopicQuery(input);
+  } catch {
+    const text = String(input || "").trim();
+    const terms = text.split(/\s+/).filter(Boolean).map((w) => ({ type: "word", value: w.toLowerCase(), negated: false }));
+    return { text, plain: true, clauses: [{ terms }] };
+  }
+}
+
+// Positive words/phrases, for providers that only do keyword matching
+function queryKeywords(query) {
+  const keywords = new Set();
+  for (const { terms } of query.clauses) {
+    for (const term of terms) {
+      if (isSearchTerm(term) && !term.negated) keywords.add(searchValue(term));
+    }
+  }
+  return [...keywords];
+}
+
+// Human-readable name for a topic: "apple -fruit" -> "apple", "nasa OR spacex" -> "nasa or spacex"
+function topicLabel(input) {
+  const query = compileTopicQuery(input);
+  if (query.plain) return query.text;
+  const label = query.clauses
+    .map(({ terms }) => terms.filter((t) => isSearchTerm(t) && !t.negated).map(searchValue).join(" "))
+    .filter(Boolean)
+    .join(" or ");
+  return label || query.text;
+}
+
+function formatSearchTerm(term) {
+  const value = searchValue(term);
+  return term.type === "phrase" || (term.type !== "word" && value.includes(" ")) ? `"${value}"` : value;
+}
+
+// Topic following one entity, e.g. entityTopic("person", "Jane Doe") -> 'person:"Jane Doe"'
+function entityTopic(type, name) {
+  if (!ENTITY_QUALIFIERS[type]) {
+    throw new TopicQueryError(`Entity type must be one of: ${Object.keys(ENTITY_QUALIFIERS).join(", ")}`);
+  }
+  const value = String(name || "").replace(/["\s]+/g, " ").trim();
+  if (!value) throw new TopicQueryError("Entity name is required");
+  return `${type}:"${value}"`;
+}
+
+// NewsAPI `q` syntax: AND/OR/NOT with quoted phrases
+function toNewsApiQuery(query) {
+  if (query.plain) return query.text;
+  const clauses = query.clauses.map(({ terms }) => {
+    const positive = terms.filter((t) => isSearchTerm(t) && !t.negated).map(formatSearchTerm);
+    const negative = terms.filter((t) => isSearchTerm(t) && t.negated).map((t) => `NOT ${formatSearchTerm(t)}`);
+    const clause = [positive.join(" AND "), ...negative].filter(Boolean).join(" ");
+    return query.clauses.length > 1 && positive.length + negative.length > 1 ? `(${clause})` : clause;
+  });
+  const q = clauses.join(" OR ");
+  return query.clauses.length > 1 ? `(${q})` : q;
+}
+
+// Search parameters for a provider. Qualifiers map onto source/domain filters
+// when the topic is a single clause; inside OR branches they are left to
+// relevance filtering.
+function toProviderSearch(query, provider) {
+  const [only] = query.clauses;
+  const qualifiers = query.clauses.length === 1 ? only.terms.filter((t) => !isSearchTerm(t)) : [];
+  const search = {
+    query: provider.querySyntax === "newsapi" ? toNewsApiQuery(query) : queryKeywords(query).join(" "),
+    sources: [],
+    domains: qualifiers.filter((t) => t.type === "site" && !t.negated).map((t) => t.value),
+    excludeDomains: qualifiers.filter((t) => t.type === "site" && t.negated).map((t) => t.value),
+  };
+  // Source ids are provider specific, so only NewsAPI can filter on them upstream
+  if (provider.querySyntax === "newsapi") {
+    search.sources = qualifiers.filter((t) => t.type === "source" && !t.negated).map((t) => t.value);
+  }
+  return search;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function slugify(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+// Works on both provider-shaped ({ source: { id, name } }) and normalized articles
+function termMatches(term, article) {
+  if (ENTITY_QUALIFIERS[term.type]) {
+    // Articles cached before entity tagging are tagged on the fly
+    const entities = article.entities || extractEntities(article);
+    return mentionsEntity(entities, ENTITY_QUALIFIERS[term.type], term.value);
+  }
+  if (term.type === "site") {
+    const host = hostnameOf(article.url);
+    return host === term.value || host.endsWith(`.${term.value}`);
+  }
+  if (term.type === "source") {
+    const source = article.source || {};
+    const id = typeof source === "string" ? "" : String(source.id || "").toLowerCase();
+    const name = slugify(typeof source === "string" ? source : source.name);
+    return id === term.value || name.includes(slugify(term.value));
+  }
+  // Words match at a word start so "fruit" also covers "fruits"
+  const text = `${article.title || ""} ${article.description || ""}`;
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term.value)}`, "iu").test(text);
+}
+
+function clauseMatches(terms, article, include = () => true) {
+  return terms.every((term) => !include(term) || termMatches(term, article) !== term.negated);
+}
+
+// Whether an article satisfies the topic
+function matchTopicQuery(query, article) {
+  return query.clauses.some(({ terms }) => clauseMatches(terms, article));
+}
+
+// Whether an article respects the topic's exclusions and qualifiers, ignoring
+// the terms it should mention (used when backfilling near matches)
+function passesTopicFilters(query, article) {
+  const isFilter = (term) => term.negated || !isSearchTerm(term);
+  return query.clauses.some(({ terms }) => clauseMatches(terms, article, isFilter));
+}
+
+module.exports = {
+  MAX_TOPIC_LENGTH,
+  TopicQueryError,
+  ENTITY_QUALIFIERS,
+  parseTopicQuery,
+  validateTopicQuery,
+  compileTopicQuery,
+  queryKeywords,
+  topicLabel,
+  entityTopic,
+  toNewsApiQuery,
+  toProviderSearch,
+  matchTopicQuery,
+  passesTopicFilters,
+};
@@ -0,0 +1,150 @@
+// backend/server/userFeeds.js
+// User-added RSS/Atom feeds. Feeds selected in a user's selectedNewsSources
+// are fetched alongside the news provider and mixed into their briefings.
+// Feeds that have been used recently are re-polled in the background so the
+// parsed items are usually already cached when a briefing is requested.
+
+const { fetchFeed, feedSourceId } = require("./providers/feedParser");
+const { filterByQuery, filterByDate, normalizeArticle, canonicalizeUrl } = require("./providers/util");
+const { tagProvenance } = require("./explain");
+const { UnsafeFetchError, assertPublicHost } = require("./safeFetch");
+
+const FEED_POLL_INTERVAL_MS = Number(process.env.FEED_POLL_INTERVAL_MS) || 10 * 60 * 1000;
+const FEED_IDLE_TTL_MS = 24 * 60 * 60 * 1000; // stop polling feeds unused for a day
+const MAX_FEED_AGE_MS = 48 * 60 * 60 * 1000; // ignore items older than two days
+
+const watchedFeeds = new Map(); // url -> last time it was requested
+let pollTimer = null;
+
+// User feed IDs use their own prefix so they never collide with the
+// deployment-configured feeds of the RSS provider ("rss-...")
+const USER_FEED_PREFIX = "feed";
+
+function isFeedSourceId(sourceId) {
+  return typeof sourceId === "string" && sourceId.startsWith(`${USER_FEED_PREFIX}-`);
+}
+
+// Validate and describe a feed before it is saved for a user
+async function inspectFeed(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(String(url || "").trim());
+  } catch {
+    throw new Error("Invalid feed URL");
+  }
+  if (!["http:", "https:"].includes(parsedUrl.protocol)) {
+    throw new Error("Feed URL must use http or https");
+  }
+  const feedUrl = parsedUrl.toString();
+  // Refuse internal hosts up front (fetchFeed checks again on every fetch and redirect)
+  try {
+    await assertPublicHost(feedUrl);
+  } catch (error) {
+    throw new Error(error instanceof UnsafeFetchError ? "Feed URL must point to a public host" : `Could not resolve ${parsedUrl.hostname}`);
+  }
+  const feed = await fetchFeed(feedUrl);
+  if (feed.articles.length === 0) {
+    throw new Error("No articles found at this feed URL");
+  }
+  return {
+    id: feedSourceId(feedUrl, USER_FEED_PREFIX),
+    url: feedUrl,
+    title: feed.title,
+    articleCount: feed.articles.length,
+  };
+}
+
+// Split a selectedNewsSources list into provider source IDs and the user's feeds
+function splitSelectedSources(selectedSources, customFeeds) {
+  const feedsById = new Map((customFeeds || []).map((feed) => [feed.id, feed]));
+  const providerSources = [];
+  const feeds = [];
+  for (const sourceId of selectedSources || []) {
+    if (isFeedSourceId(sourceId)) {
+      if (feedsById.has(sourceId)) feeds.push(feedsById.get(sourceId));
+    } else {
+      providerSources.push(sourceId);
+    }
+  }
+  return { providerSources, feeds };
+}
+
+// Recent normalized articles from the given feeds, filtered by `query` when
+// one is given (an empty query keeps every item)
+async function fetchFeedArticles(feeds, { query = "", maxResults } = {}) {
+  if (!feeds || feeds.length === 0) return [];
+  const now = Date.now();
+  const results = await Promise.allSettled(
+    feeds.map((feed) => {
+      watchedFeeds.set(feed.url, now);
+      return fetchFeed(feed.url);
+    })
+  );
+
+  let articles = [];
+  results.forEach((result, idx) => {
+    if (result.status === "fulfilled") {
+      const feed = feeds[idx];
+      const source = { id: feed.id, name: feed.title || result.value.title };
+      const tagged = tagProvenance(result.value.articles, { provider: "feed", call: "feed", feedId: feed.id, query });
+      articles.push(...tagged.map((a) => ({ ...a, source })));
+    } else {
+      console.warn(`User feed failed (${feeds[idx].url}): ${result.reason?.message || result.reason}`);
+    }
+  });
+
+  articles = filterByDate(articles, new Date(now - MAX_FEED_AGE_MS).toISOString());
+  return filterByQuery(articles, query)
+    .slice(0, Math.max(Number(maxResults) || 5, 1))
+    .map(normalizeArticle);
+}
+
+// Interleave provider and feed articles so neither side crowds out the other,
+// dropping duplicate (canonical) URLs
+function mergeArticles(providerArticles, feedArticles) {
+  const merged = [];
+  const seen = new Set();
+  const longest = Math.max(providerArticles.length, feedArticles.length);
+  for (let i = 0; i < longest; i++) {
+    for (const article of [providerArticles[i], feedArticles[i]]) {
+      if (!article) continue;
+      const key = article.url ? canonicalizeUrl(article.url) : article.title;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      merged.push(article);
+    }
+  }
+  return merged;
+}
+
+async function pollWatchedFeeds() {
+  const now = Date.now();
+  for (const [url, lastUsed] of watchedFeeds) {
+    if (now - lastUsed > FEED_IDLE_TTL_MS) {
+      watchedFeeds.delete(url);
+      continue;
+    }
+    try {
+      await fetchFeed(url, { force: true });
+    } catch (error) {
+      console.warn(`Feed poll failed (${url}): ${error.message}`);
+    }
+  }
+}
+
+function startFeedPolling() {
+  if (pollTimer) return;
+  pollTimer = setInterval(() => {
+    pollWatchedFeeds().catch((error) => console.error("Feed polling error:", error));
+  }, FEED_POLL_INTERVAL_MS);
+  pollTimer.unref();
+}
+
+module.exports = {
+  isFeedSourceId,
+  inspectFeed,
+  splitSelectedSources,
+  fetchFeedArticles,
+  mergeArticles,
+  startFeedPolling,
+};
@@ -3,6 +3,10 @@
 
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { sanitizeEntities } = require('../server/entities');
+const { applyFeedback, plainProfile, emptyProfile } = require('../server/interests');
+const { sanitizeSummarizerInfo } = require('../server/summarizers');
+const { sanitizeSegments } = require('../server/citations');
 
 const JWT_SECRET = process.env.JWT_SECRET;
 if (!JWT_SECRET) {
@@ -104,6 +108,21 @@ const fallbackAuth = {
     return user.customTopics || [];
   },
 
+  // Interest profile management for fallback
+  async recordFeedback(user, events) {
+    user.interestProfile = applyFeedback(plainProfile(user.interestProfile), events);
+    return this.getInterestProfile(user);
+  },
+
+  async resetInterestProfile(user) {
+    user.interestProfile = emptyProfile();
+    return this.getInterestProfile(user);
+  },
+
+  getInterestProfile(user) {
+    return plainProfile(user.interestProfile);
+  },
+
   // Summary history management for fallback
   async addSummaryToHistory(user, summaryData) {
     const historyEntry = {
@@ -115,7 +134,12 @@ const fallbackAuth = {
       wordCount: summaryData.wordCount || 0,
       timestamp: new Date(),
       createdAt: new Date(),
-      audioUrl: summaryData.audioUrl
+      audioUrl: summaryData.audioUrl,
+      articleIds: (summaryData.articleIds || []).slice(0, 50),
+      entities: sanitizeEntities(summaryData.entities),
+      thumbnailUrl: summaryData.thumbnailUrl || null,
+      summarizer: sanitizeSummarizerInfo(summaryData.summarizer),
+      segments: sanitizeSegments(summaryData.segments)
     };
     
     // Add to beginning of array (most recent first)